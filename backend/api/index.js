@@ -1,62 +1,525 @@
 const express = require("express");
 const cors = require("cors");
 const KVStore = require("../src/kvStore"); // Adjust the path to your kvStore file
+const createAuth = require("../src/middleware/auth");
+const createRateLimit = require("../src/middleware/rateLimit");
+const createHttpMetrics = require("../src/middleware/httpMetrics");
+const createErrorHandler = require("../src/middleware/errors");
+const { formatStoreMetrics } = require("../src/metrics");
+const { ReplicationSource, ReplicationFollower } = require("../src/replication");
+const Server = require("../src/server");
+const { storeOptionsFromEnv } = require("../src/config");
+const { ValidationError, NotFoundError } = require("../src/errors");
 
 const app = express();
-const store = new KVStore();
+const store = new KVStore(process.env.KV_DATA_FILE || null, storeOptionsFromEnv());
+app.locals.store = store; // For callers that run the app without the server, like tests
+const { authenticate, authorize, requireAdmin } = createAuth({
+  configPath: process.env.KV_AUTH_CONFIG,
+});
+const rateLimit = createRateLimit({
+  requestsPerSecond: Number(process.env.KV_RATE_LIMIT_RPS) || null,
+  bytesPerSecond: Number(process.env.KV_RATE_LIMIT_BPS) || null,
+});
+// With KV_REPLICA_OF this instance follows that primary; otherwise it is a primary
+const replication = process.env.KV_REPLICA_OF
+  ? new ReplicationFollower(store, {
+      primaryUrl: process.env.KV_REPLICA_OF,
+      apiKey: process.env.KV_REPLICATION_API_KEY,
+    })
+  : new ReplicationSource(store);
+const httpMetrics = createHttpMetrics();
+// The RESP server is optional and local-only unless KV_RESP_HOST says otherwise, which
+// is refused while API keys are required
+const server = new Server(app, store, {
+  port: Number(process.env.PORT) || 5000,
+  respPort: process.env.KV_RESP_PORT ? Number(process.env.KV_RESP_PORT) : null,
+  respHost: process.env.KV_RESP_HOST || "127.0.0.1",
+  authEnabled: Boolean(process.env.KV_AUTH_CONFIG),
+  replication,
+  drainTimeout: Number(process.env.KV_DRAIN_TIMEOUT) || 10000,
+});
+
+app.use(httpMetrics.measure);
+
+// Liveness and readiness probes, answered while draining too
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+app.get("/readyz", (req, res) => {
+  const { ready, checks } = server.readiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+});
 
+app.use(server.track());
 app.use(cors());
-app.use(express.json());
+app.use("/api", authenticate, rateLimit);
+app.use(express.json({ type: ["application/json", "application/json-patch+json"] }));
 
-// Initialize store
-store.initialize().catch(console.error);
+// Key-value routes, mounted for the root store and for each namespace
+const kv = express.Router({ mergeParams: true });
+
+// Client charged for stored entries, with its storage quota if the API key sets one
+const ownerOf = (req) => ({
+  owner: req.clientId,
+  quota: req.apiClient ? req.apiClient.quota : null,
+});
+
+// Authorization rules: the action and keys each route touches
+const keyParam = (action) =>
+  authorize((req) => [{ action, key: req.params.key }]);
+const bodyKeys = (action, keysOf) =>
+  authorize((req) => {
+    const keys = keysOf(req.body || {});
+    return Array.isArray(keys) ? keys.map((key) => ({ action, key })) : [];
+  });
+const queryPrefix = (action) =>
+  authorize((req) => [{ action, key: req.query.prefix || "" }]);
+const wholeKeyspace = (action) => authorize(() => [{ action, key: "" }]);
+const batchItemKeys = bodyKeys("write", (body) =>
+  Array.isArray(body.items) ? body.items.map((item) => item && item[0]) : []
+);
+const transactionKeys = authorize((req) =>
+  Array.isArray(req.body.ops)
+    ? req.body.ops.map((op) => ({
+        action: op && op.op === "delete" ? "delete" : "write",
+        key: op && op.key,
+      }))
+    : []
+);
 
 // Create endpoint
-app.post("/api/kv", async (req, res) => {
+kv.post("/", bodyKeys("write", (body) => [body.key]), async (req, res, next) => {
   try {
     const { key, value, ttl } = req.body;
-    await store.create(key, value, ttl);
-    res.status(201).json({ message: "Created successfully" });
+    const version = await req.store.create(key, value, ttl, ownerOf(req));
+    res.status(201).json({ message: "Created successfully", version });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
 // Batch create endpoint
-app.post("/api/kv/batch", async (req, res) => {
+kv.post("/batch", batchItemKeys, async (req, res, next) => {
   try {
     const { items } = req.body;
     if (!items || !Array.isArray(items)) {
-      return res.status(400).json({ error: "Invalid items format" });
+      throw new ValidationError("Invalid items format");
     }
-    const failedKeys = await store.batchCreate(items);
+    const failedKeys = await req.store.batchCreate(items, ownerOf(req));
     res.status(201).json({
       success: true,
       failedKeys: failedKeys || []
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Batch read endpoint
+kv.post("/batch/get", bodyKeys("read", (body) => body.keys), async (req, res, next) => {
+  try {
+    const { keys } = req.body;
+    const results = await req.store.batchRead(keys);
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Batch delete endpoint
+kv.post("/batch/delete", bodyKeys("delete", (body) => body.keys), async (req, res, next) => {
+  try {
+    const { keys } = req.body;
+    const results = await req.store.batchDelete(keys);
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Transaction endpoint, applies all operations or none
+kv.post("/tx", transactionKeys, async (req, res, next) => {
+  try {
+    const { ops } = req.body;
+    const results = await req.store.transaction(ops, ownerOf(req));
+    res.json({ success: true, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Scan endpoint, pages through keys with an opaque cursor
+kv.get("/", queryPrefix("read"), async (req, res, next) => {
+  try {
+    const { prefix, cursor, limit, values } = req.query;
+    const page = await req.store.scan({
+      prefix: prefix || "",
+      cursor: cursor || null,
+      limit: limit ? Number(limit) : undefined,
+      includeValues: values === "true",
+    });
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Watch endpoint, streams change events as Server-Sent Events. Clients resume
+// after a reconnect with the Last-Event-ID header or the since query parameter.
+kv.get("/watch", queryPrefix("read"), (req, res) => {
+  const prefix = req.query.prefix || "";
+  const lastEventId = req.get("Last-Event-ID") || req.query.since;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (change) => {
+    res.write(`id: ${change.seq}\nevent: ${change.type}\ndata: ${JSON.stringify(change)}\n\n`);
+  };
+
+  if (lastEventId !== undefined) {
+    // Anything but a sequence number gets a resync rather than silently missed events
+    const seq = /^\d+$/.test(lastEventId) ? Number(lastEventId) : null;
+    const missed = req.store.changesSince(seq, prefix);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Events since lastEventId are gone, the client has to reload its state
+      res.write(`event: resync\ndata: ${JSON.stringify({ seq: req.store.sequence })}\n\n`);
+    }
+  }
+
+  const onChange = (change) => {
+    if (change.key.startsWith(prefix)) {
+      send(change);
+    }
+  };
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  req.store.on("change", onChange);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    req.store.off("change", onChange);
+  });
+});
+
+// Export endpoint, streams every entry as NDJSON
+kv.get("/export", wholeKeyspace("read"), async (req, res) => {
+  res.set({
+    "Content-Type": "application/x-ndjson",
+    "Content-Disposition": 'attachment; filename="kvstore.ndjson"',
+  });
+  try {
+    await req.store.export(res);
+  } catch (error) {
+    res.destroy(error);
+  }
+});
+
+// Import endpoint, reads NDJSON records from the request body
+kv.post("/import", wholeKeyspace("write"), async (req, res, next) => {
+  try {
+    const summary = await req.store.import(req, {
+      onConflict: req.query.onConflict || "skip",
+      ...ownerOf(req),
+    });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Query parameters are JSON when they parse as a string, number or boolean, so
+// eq=42 matches a number and eq="42" a string; anything else is taken as a string
+const queryValue = (raw) => {
+  if (raw === undefined) {
+    return undefined;
+  }
+  try {
+    const value = JSON.parse(raw);
+    return ["string", "number", "boolean"].includes(typeof value) ? value : raw;
+  } catch (error) {
+    return raw;
+  }
+};
+
+// Query endpoint, finds entries through a secondary index
+kv.get("/query", wholeKeyspace("read"), async (req, res, next) => {
+  try {
+    const { index, limit } = req.query;
+    const query = { limit: limit ? Number(limit) : undefined };
+    for (const operator of ["eq", "gt", "gte", "lt", "lte"]) {
+      query[operator] = queryValue(req.query[operator]);
+    }
+    const result = await req.store.query(index, query);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Secondary index endpoints
+kv.get("/indexes", wholeKeyspace("read"), (req, res) => {
+  res.json({ indexes: req.store.listIndexes() });
+});
+
+kv.post("/indexes", requireAdmin, async (req, res, next) => {
+  try {
+    const { name, path } = req.body;
+    const index = await req.store.createIndex(name, path);
+    res.status(201).json({ message: "Index created", index });
+  } catch (error) {
+    next(error);
+  }
+});
+
+kv.delete("/indexes/:name", requireAdmin, async (req, res, next) => {
+  try {
+    await req.store.dropIndex(req.params.name);
+    res.json({ message: "Index dropped" });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Read endpoint
-app.get("/api/kv/:key", async (req, res) => {
+kv.get("/:key", keyParam("read"), async (req, res, next) => {
   try {
-    const value = await store.read(req.params.key);
-    res.json({ value });
+    const touch =
+      req.query.touch === undefined ? undefined : req.query.touch === "true";
+    const { value, version } = await req.store.readEntry(req.params.key, { touch });
+    res.json({ value, version });
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Upsert endpoint
+kv.put("/:key", keyParam("write"), async (req, res, next) => {
+  try {
+    const { value, ttl } = req.body;
+    const version = await req.store.upsert(req.params.key, value, ttl, ownerOf(req));
+    res.json({ message: "Saved successfully", version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update endpoint, compare-and-set when a version is given. A JSON Patch body
+// (application/json-patch+json) patches the stored value instead.
+kv.patch("/:key", keyParam("write"), async (req, res, next) => {
+  try {
+    if (req.is("application/json-patch+json")) {
+      const { value, version } = await req.store.patch(
+        req.params.key,
+        req.body,
+        ownerOf(req)
+      );
+      return res.json({ message: "Patched successfully", value, version });
+    }
+
+    const { value, version: expectedVersion } = req.body;
+    const version =
+      expectedVersion === undefined
+        ? await req.store.update(req.params.key, value, ownerOf(req))
+        : await req.store.compareAndSet(
+            req.params.key,
+            expectedVersion,
+            value,
+            ownerOf(req)
+          );
+    res.json({ message: "Updated successfully", version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Counter endpoints
+kv.post("/:key/incr", keyParam("write"), async (req, res, next) => {
+  try {
+    const by = req.body.by === undefined ? 1 : req.body.by;
+    const { value, version } = await req.store.incr(req.params.key, by, ownerOf(req));
+    res.json({ value, version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+kv.post("/:key/decr", keyParam("write"), async (req, res, next) => {
+  try {
+    const by = req.body.by === undefined ? 1 : req.body.by;
+    const { value, version } = await req.store.decr(req.params.key, by, ownerOf(req));
+    res.json({ value, version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// TTL endpoints
+kv.get("/:key/ttl", keyParam("read"), async (req, res, next) => {
+  try {
+    const ttl = await req.store.ttl(req.params.key);
+    res.json({ ttl });
+  } catch (error) {
+    next(error);
+  }
+});
+
+kv.put("/:key/ttl", keyParam("write"), async (req, res, next) => {
+  try {
+    const { ttl, expireAt } = req.body;
+    const expiry =
+      expireAt !== undefined
+        ? await req.store.expireAt(req.params.key, expireAt)
+        : await req.store.expire(req.params.key, ttl);
+    res.json({ message: "Expiry updated", expiry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+kv.delete("/:key/ttl", keyParam("write"), async (req, res, next) => {
+  try {
+    await req.store.persist(req.params.key);
+    res.json({ message: "Expiry removed" });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Delete endpoint
-app.delete("/api/kv/:key", async (req, res) => {
+kv.delete("/:key", keyParam("delete"), async (req, res, next) => {
   try {
-    await store.delete(req.params.key);
+    await req.store.delete(req.params.key);
     res.json({ message: "Deleted successfully" });
   } catch (error) {
-    res.status(404).json({ error: error.message });
+    next(error);
   }
 });
 
+// Compaction endpoint, removes expired keys and rewrites the data file
+kv.post("/compact", requireAdmin, async (req, res, next) => {
+  try {
+    await req.store.compact();
+    res.json({ message: "Compacted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store statistics, including every namespace
+app.get("/api/stats", requireAdmin, (req, res) => {
+  res.json(store.stats());
+});
+
+// Prometheus metrics of the store, its namespaces and the HTTP routes
+app.get("/metrics", authenticate, requireAdmin, (req, res) => {
+  res.type("text/plain; version=0.0.4");
+  res.send(`${formatStoreMetrics(store)}\n${httpMetrics.format()}\n`);
+});
+
+// Integrity check of the data files, the log and every namespace
+app.get("/api/verify", requireAdmin, async (req, res, next) => {
+  try {
+    const report = await store.verify();
+    res.status(report.ok ? 200 : 500).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replication endpoints: the change stream followers subscribe to, and the role,
+// followers and lag of this instance
+if (replication instanceof ReplicationSource) {
+  app.get("/api/replication/stream", requireAdmin, (req, res) =>
+    replication.stream(req, res)
+  );
+}
+
+app.get("/api/replication", requireAdmin, (req, res) => {
+  res.json(replication.status());
+});
+
+// Namespace endpoints
+app.get("/api/ns", requireAdmin, (req, res) => {
+  res.json({ namespaces: store.listNamespaces() });
+});
+
+app.post("/api/ns", requireAdmin, async (req, res, next) => {
+  try {
+    const { name, maxValueSize, quota, defaultTtl } = req.body;
+    const namespace = await store.createNamespace(name, {
+      maxValueSize,
+      quota,
+      defaultTtl,
+    });
+    res.status(201).json({ message: "Namespace created", namespace });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/ns/:ns", requireAdmin, async (req, res, next) => {
+  try {
+    await store.dropNamespace(req.params.ns);
+    res.json({ message: "Namespace dropped" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use(
+  "/api/kv",
+  (req, res, next) => {
+    req.store = store;
+    next();
+  },
+  kv
+);
+
+app.use(
+  "/api/ns/:ns/kv",
+  (req, res, next) => {
+    try {
+      req.store = store.namespace(req.params.ns);
+      req.baseRoute = "/api/ns/:ns/kv"; // Route label for metrics, without the namespace name
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
+  kv
+);
+
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, "ROUTE_NOT_FOUND"));
+});
+
+// Errors of every route, as JSON with the error code and a status that matches it
+app.use(createErrorHandler());
+
+// Start serving once the store is initialized, and shut down gracefully on signals
+if (require.main === module) {
+  server.handleSignals();
+  server
+    .start()
+    .then(() => {
+      console.log(`Server listening on port ${server.httpServer.address().port}`);
+      if (server.respServer) {
+        const { address, port } = server.respServer.address();
+        console.log(`RESP server listening on ${address}:${port}`);
+      }
+    })
+    .catch((error) => {
+      console.error("Failed to start server:", error);
+      process.exitCode = 1;
+    });
+}
+
 module.exports = app;
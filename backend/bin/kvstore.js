@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,257 @@
+const fs = require("fs");
+const fsp = fs.promises;
+const readline = require("readline");
+const FileCipher = require("./fileCipher");
+const { ValidationError, EncryptionError } = require("./errors");
+
+const FSYNC_POLICIES = ["always", "everysec", "no"];
+
+class AppendLog {
+  /**
+   * Creates an append-only log of mutation records, one JSON record per line.
+   * @param {string} logPath - Path of the log file.
+   * @param {object} options - Optional fsync policy: "always", "everysec" (default) or "no",
+   *   a FileCipher that seals each record, and readOnly for a log another process writes.
+   */
+  constructor(logPath, options = {}) {
+    this.logPath = logPath;
+    this.fsync = options.fsync || "everysec";
+    if (!FSYNC_POLICIES.includes(this.fsync)) {
+      throw new ValidationError(`Invalid fsync policy: ${this.fsync}`);
+    }
+    this.handle = null; // File handle opened in append mode
+    this.size = 0; // Current log size in bytes
+    this.needsSync = false; // Indicates if appended data has not been fsynced yet
+    this.syncTimer = null; // Interval for the "everysec" fsync policy
+    this.writeChain = Promise.resolve(); // Serializes appends, syncs and truncation
+    this.cipher = options.cipher || null; // Seals each record when encryption at rest is enabled
+    this.readOnly = options.readOnly || false; // Never changes the file, which belongs to another process
+  }
+
+  /**
+   * Opens the log for appending and starts the periodic fsync if the policy requires it.
+   */
+  async open() {
+    this.handle = await fsp.open(this.logPath, "a");
+    const stats = await this.handle.stat();
+    this.size = stats.size;
+
+    if (this.fsync === "everysec") {
+      this.syncTimer = setInterval(() => {
+        this.sync().catch(console.error);
+      }, 1000);
+      this.syncTimer.unref();
+    }
+  }
+
+  /**
+   * Replays every readable record of the log in order. Unreadable records followed by
+   * good ones are skipped and returned, so the caller can report them. A trailing
+   * record left half-written by a crash is ignored and cut off so new appends start on
+   * a clean line; a read-only log is never changed, the tail is only ignored.
+   * @param {function} apply - Called with each parsed record.
+   * @returns {object} { skipped } with the { line, text } of each skipped record.
+   */
+  async replay(apply) {
+    const skipped = [];
+    let size;
+    try {
+      size = (await fsp.stat(this.logPath)).size;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { skipped };
+      }
+      throw error;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.logPath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    let lineNumber = 0;
+    let offset = 0;
+    let validEnd = 0;
+    let badRecord = null; // Unreadable record, a torn tail unless a good record follows
+
+    for await (const line of lines) {
+      lineNumber++;
+      offset += Buffer.byteLength(line) + 1;
+      if (!line.trim()) {
+        if (badRecord === null) {
+          validEnd = offset;
+        }
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        if (badRecord !== null) {
+          skipped.push(badRecord);
+        }
+        badRecord = { line: lineNumber, text: line };
+        continue;
+      }
+      if (badRecord !== null) {
+        skipped.push(badRecord);
+        badRecord = null;
+      }
+      apply(this.unseal(record));
+      validEnd = offset;
+    }
+
+    if (this.readOnly) {
+      return { skipped };
+    }
+    if (validEnd < size) {
+      await fsp.truncate(this.logPath, validEnd);
+    } else if (validEnd > size) {
+      // The last record is complete but its newline never made it to disk
+      await fsp.appendFile(this.logPath, "\n", "utf8");
+    }
+    return { skipped };
+  }
+
+  /**
+   * Checks that every record of the log can be read back, without applying or changing
+   * anything. An incomplete last record, which replay cuts off, is not an error.
+   * @returns {object} { records, incompleteTail, error } with error describing the
+   *   first unreadable record, or null.
+   */
+  async verify() {
+    const result = { records: 0, incompleteTail: false, error: null };
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.logPath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    let lineNumber = 0;
+    let badLine = null;
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+          continue;
+        }
+        if (badLine !== null) {
+          result.error = `Corrupted log record at line ${badLine}`;
+          return result;
+        }
+        try {
+          this.unseal(JSON.parse(line));
+          result.records++;
+        } catch (error) {
+          if (error instanceof EncryptionError) {
+            throw error;
+          }
+          badLine = lineNumber;
+        }
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+    result.incompleteTail = badLine !== null;
+    return result;
+  }
+
+  /**
+   * Appends mutation records to the log, fsyncing immediately under the "always" policy.
+   * @param {object[]} records - Records to append.
+   */
+  append(records) {
+    const payload = records
+      .map((record) => {
+        const line = this.cipher ? this.cipher.seal(JSON.stringify(record)) : record;
+        return `${JSON.stringify(line)}\n`;
+      })
+      .join("");
+
+    return this.enqueue(async () => {
+      await this.handle.write(payload);
+      this.size += Buffer.byteLength(payload);
+
+      if (this.fsync === "always") {
+        await this.handle.sync();
+      } else {
+        this.needsSync = true;
+      }
+    });
+  }
+
+  /**
+   * Decrypts a sealed record read from the log. A plaintext record read while
+   * encryption is enabled marks the log for resealing.
+   */
+  unseal(record) {
+    if (!FileCipher.isSealed(record)) {
+      if (this.cipher) {
+        this.cipher.needsReseal = true;
+      }
+      return record;
+    }
+    if (!this.cipher) {
+      throw new EncryptionError(
+        "Log is encrypted, but no encryption key is configured",
+        "KEY_REQUIRED"
+      );
+    }
+    return JSON.parse(this.cipher.open(record).toString("utf8"));
+  }
+
+  /**
+   * Flushes appended records to disk if anything is pending.
+   */
+  sync() {
+    return this.enqueue(async () => {
+      if (this.handle && this.needsSync) {
+        this.needsSync = false;
+        await this.handle.sync();
+      }
+    });
+  }
+
+  /**
+   * Runs a snapshot write in the append queue and then empties the log, so every
+   * record appended before the rewrite is covered by the snapshot.
+   * @param {function} writeSnapshot - Async function that persists the full data set.
+   */
+  rewrite(writeSnapshot) {
+    return this.enqueue(async () => {
+      await writeSnapshot();
+      await this.handle.truncate(0);
+      await this.handle.sync();
+      this.size = 0;
+      this.needsSync = false;
+    });
+  }
+
+  /**
+   * Flushes pending records and closes the log.
+   */
+  async close() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    await this.sync();
+    await this.enqueue(async () => {
+      if (this.handle) {
+        await this.handle.close();
+        this.handle = null;
+      }
+    });
+  }
+
+  /**
+   * Chains a task after all previously queued log operations.
+   */
+  enqueue(task) {
+    const run = this.writeChain.then(task);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = AppendLog;
@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const { CorruptionError } = require("./errors");
+
+const FOOTER = /\n#sha256:([0-9a-f]{64})\n$/;
+const FOOTER_LENGTH = "\n#sha256:\n".length + 64;
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Appends a footer line with the SHA-256 checksum of the content.
+ * @param {Buffer} content - The file contents.
+ * @returns {Buffer} The contents followed by the footer.
+ */
+function addChecksum(content) {
+  return Buffer.concat([content, Buffer.from(`\n#sha256:${sha256(content)}\n`)]);
+}
+
+/**
+ * Checks the checksum footer of file contents and strips it. Contents without a footer,
+ * written before checksums were added, are returned as they are.
+ * @param {Buffer} content - The file contents.
+ * @returns {object} { content, checksum } where checksum is "valid" or "missing".
+ */
+function verifyChecksum(content) {
+  const footer = content.subarray(-FOOTER_LENGTH).toString("latin1").match(FOOTER);
+  if (!footer) {
+    return { content, checksum: "missing" };
+  }
+
+  const body = content.subarray(0, content.length - FOOTER_LENGTH);
+  if (sha256(body) !== footer[1]) {
+    throw new CorruptionError("Checksum mismatch: the file is corrupt", "CHECKSUM_MISMATCH");
+  }
+  return { content: body, checksum: "valid" };
+}
+
+module.exports = { addChecksum, verifyChecksum };
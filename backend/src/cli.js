@@ -0,0 +1,436 @@
+const fs = require("fs");
+const fsp = fs.promises;
+const stream = require("stream");
+const { parseArgs, promisify } = require("util");
+const KVStore = require("./kvStore");
+const { storeOptionsFromEnv } = require("./config");
+
+const pipeline = promisify(stream.pipeline);
+
+const USAGE = `Usage: kvstore [options] <command> [arguments]
+
+Commands:
+  get <key>              Print the value of a key
+  set <key> <value>      Create or replace a key; the value is JSON, or else a string
+  del <key>              Delete a key
+  batch <file>           Create the keys in a JSON file of [key, value, ttl] items
+  compact                Remove expired keys and rewrite the data file
+  export [file]          Write every entry as NDJSON (default: standard output)
+  import [file]          Load NDJSON entries (default: standard input)
+  stats                  Show the key count, size and limits
+
+Options:
+  -f, --file <path>        Data file (default: $KV_DATA_FILE or ~/.kvstore.json)
+  -u, --url <url>          Use a running server instead of the data file
+  -k, --api-key <key>      API key for --url (default: $KV_API_KEY)
+  -n, --namespace <name>   Use a namespace instead of the root keyspace
+  -t, --ttl <seconds>      Time-to-live for set
+      --on-conflict <mode> skip (default), overwrite or fail, for import
+      --json               Print results as JSON
+  -h, --help               Show this help
+`;
+
+// Commands that only read; on a data file they open it read-only, next to a running server
+const READ_COMMANDS = ["get", "export", "stats"];
+
+const ARITY = {
+  get: [1, 1],
+  set: [2, 2],
+  del: [1, 1],
+  batch: [1, 1],
+  compact: [0, 0],
+  export: [0, 1],
+  import: [0, 1],
+  stats: [0, 0],
+};
+
+/**
+ * Parses a value argument as JSON, so 42 and {"a":1} keep their types. Anything that
+ * is not valid JSON is taken as a plain string.
+ */
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Formats a stored value for people: strings as they are, anything else as indented JSON.
+ */
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Reads the items of a batch file: a JSON array of [key, value, ttl] items, or an
+ * object with such an items array, as POST /api/kv/batch takes.
+ */
+async function readBatchFile(file) {
+  const content = JSON.parse(await fsp.readFile(file, "utf8"));
+  const items = Array.isArray(content) ? content : content && content.items;
+  if (!Array.isArray(items)) {
+    throw new Error("Batch file must hold an array of [key, value, ttl] items");
+  }
+  return items;
+}
+
+class LocalClient {
+  /**
+   * Runs commands directly on a data file through KVStore. Writing commands take the
+   * file lock, so they fail while a server has the file open.
+   */
+  constructor({ file, namespace, readOnly }) {
+    this.file = file;
+    this.namespace = namespace;
+    this.readOnly = readOnly;
+    this.store = null;
+  }
+
+  async open() {
+    this.store = new KVStore(this.file, {
+      ...storeOptionsFromEnv(),
+      readOnly: this.readOnly,
+      expirySweepInterval: 0,
+    });
+    try {
+      await this.store.initialize();
+    } catch (error) {
+      this.store = null;
+      if (error.code === "FILE_LOCKED") {
+        throw new Error(`${error.message}; use --url to go through the server`);
+      }
+      throw error;
+    }
+    this.target = this.namespace ? this.store.namespace(this.namespace) : this.store;
+  }
+
+  async close() {
+    if (this.store) {
+      await this.store.cleanup();
+    }
+  }
+
+  async get(key) {
+    const { value, version } = await this.target.readEntry(key);
+    return { key, value, version };
+  }
+
+  async set(key, value, ttl) {
+    return { key, version: await this.target.upsert(key, value, ttl) };
+  }
+
+  async del(key) {
+    await this.target.delete(key);
+    return { key, deleted: true };
+  }
+
+  async batch(items) {
+    const failedKeys = await this.target.batchCreate(items);
+    return { created: items.length - failedKeys.length, failedKeys };
+  }
+
+  async compact() {
+    await this.target.compact();
+    return { compacted: true };
+  }
+
+  async export(writable) {
+    return { exported: await this.target.export(writable) };
+  }
+
+  async import(readable, onConflict) {
+    return this.target.import(readable, { onConflict });
+  }
+
+  async stats() {
+    return this.store.stats();
+  }
+}
+
+class RemoteClient {
+  /**
+   * Runs commands against a running server through its REST API.
+   */
+  constructor({ url, apiKey, namespace }) {
+    this.url = url.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.base = namespace
+      ? `/api/ns/${encodeURIComponent(namespace)}/kv`
+      : "/api/kv";
+  }
+
+  async open() {}
+
+  async close() {}
+
+  /**
+   * Sends a request and returns the response, throwing the server's error message and
+   * code for non-2xx statuses.
+   */
+  async request(method, path, { json, body, headers = {} } = {}) {
+    const options = { method, headers: { ...headers } };
+    if (this.apiKey) {
+      options.headers["X-API-Key"] = this.apiKey;
+    }
+    if (json !== undefined) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(json);
+    } else if (body !== undefined) {
+      options.body = body;
+      options.duplex = "half";
+    }
+
+    const response = await fetch(`${this.url}${path}`, options);
+    if (!response.ok) {
+      let body = {};
+      try {
+        body = await response.json();
+      } catch (error) {
+        // Not a JSON error body; keep the status
+      }
+      const error = new Error(body.error || `Server responded with status ${response.status}`);
+      error.code = body.code;
+      throw error;
+    }
+    return response;
+  }
+
+  keyPath(key) {
+    return `${this.base}/${encodeURIComponent(key)}`;
+  }
+
+  async get(key) {
+    const { value, version } = await (await this.request("GET", this.keyPath(key))).json();
+    return { key, value, version };
+  }
+
+  async set(key, value, ttl) {
+    const response = await this.request("PUT", this.keyPath(key), {
+      json: { value, ttl },
+    });
+    return { key, version: (await response.json()).version };
+  }
+
+  async del(key) {
+    await this.request("DELETE", this.keyPath(key));
+    return { key, deleted: true };
+  }
+
+  async batch(items) {
+    const response = await this.request("POST", `${this.base}/batch`, {
+      json: { items },
+    });
+    const { failedKeys } = await response.json();
+    return { created: items.length - failedKeys.length, failedKeys };
+  }
+
+  async compact() {
+    await this.request("POST", `${this.base}/compact`);
+    return { compacted: true };
+  }
+
+  async export(writable) {
+    const response = await this.request("GET", `${this.base}/export`);
+    let exported = 0;
+    const countLines = new stream.Transform({
+      transform(chunk, encoding, callback) {
+        for (const byte of chunk) {
+          if (byte === 0x0a) {
+            exported++;
+          }
+        }
+        callback(null, chunk);
+      },
+    });
+    await pipeline(stream.Readable.fromWeb(response.body), countLines, writable);
+    return { exported };
+  }
+
+  async import(readable, onConflict) {
+    const query = new URLSearchParams({ onConflict });
+    const response = await this.request("POST", `${this.base}/import?${query}`, {
+      body: readable,
+      headers: { "Content-Type": "application/x-ndjson" },
+    });
+    const { success, ...summary } = await response.json();
+    return summary;
+  }
+
+  async stats() {
+    return (await this.request("GET", "/api/stats")).json();
+  }
+}
+
+/**
+ * Writes a command result for people, or as JSON with --json.
+ */
+function printResult(command, result, { json, stdout, stderr }) {
+  if (json) {
+    // Exported entries may be on standard output, so that summary goes to standard error
+    (command === "export" ? stderr : stdout).write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+
+  switch (command) {
+    case "get":
+      stdout.write(`${formatValue(result.value)}\n`);
+      break;
+    case "set":
+      stdout.write(`OK (version ${result.version})\n`);
+      break;
+    case "del":
+      stdout.write(`Deleted ${result.key}\n`);
+      break;
+    case "batch":
+      stdout.write(`Created ${result.created} keys\n`);
+      if (result.failedKeys.length > 0) {
+        stdout.write(`Failed: ${result.failedKeys.join(", ")}\n`);
+      }
+      break;
+    case "compact":
+      stdout.write("Compacted\n");
+      break;
+    case "export":
+      stderr.write(`Exported ${result.exported} entries\n`);
+      break;
+    case "import":
+      stdout.write(
+        `Imported ${result.imported}, skipped ${result.skipped}, expired ${result.expired}\n`
+      );
+      break;
+    case "stats": {
+      const { namespaces, ...fields } = result;
+      for (const [name, value] of Object.entries(fields)) {
+        // Grouped counters, like reads, print as hits=3, misses=1
+        const text =
+          value && typeof value === "object"
+            ? Object.entries(value).map((pair) => pair.join("=")).join(", ")
+            : value;
+        stdout.write(`${name}: ${text}\n`);
+      }
+      for (const namespace of namespaces || []) {
+        stdout.write(
+          `namespace ${namespace.name}: ${namespace.keys} keys, ${namespace.size} bytes\n`
+        );
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Runs the kvstore command line.
+ * @param {string[]} argv - The arguments after the script name.
+ * @param {object} io - stdin, stdout and stderr streams, and env for defaults.
+ * @returns {number} The exit code: 0 on success, 1 on errors, 2 on usage errors.
+ */
+async function run(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+  } = io;
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: "string", short: "f" },
+        url: { type: "string", short: "u" },
+        "api-key": { type: "string", short: "k" },
+        namespace: { type: "string", short: "n" },
+        ttl: { type: "string", short: "t" },
+        "on-conflict": { type: "string", default: "skip" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!ARITY[command]) {
+    stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  const [min, max] = ARITY[command];
+  if (args.length < min || args.length > max) {
+    stderr.write(`Wrong number of arguments for ${command}\n\n${USAGE}`);
+    return 2;
+  }
+  let ttl = null;
+  if (values.ttl !== undefined) {
+    ttl = Number(values.ttl);
+    if (!Number.isInteger(ttl) || ttl <= 0) {
+      stderr.write("--ttl must be a positive number of seconds\n");
+      return 2;
+    }
+  }
+
+  const client = values.url
+    ? new RemoteClient({
+        url: values.url,
+        apiKey: values["api-key"] || env.KV_API_KEY,
+        namespace: values.namespace,
+      })
+    : new LocalClient({
+        file: values.file || env.KV_DATA_FILE || null,
+        namespace: values.namespace,
+        readOnly: READ_COMMANDS.includes(command),
+      });
+
+  try {
+    await client.open();
+    let result;
+    switch (command) {
+      case "get":
+        result = await client.get(args[0]);
+        break;
+      case "set":
+        result = await client.set(args[0], parseValue(args[1]), ttl);
+        break;
+      case "del":
+        result = await client.del(args[0]);
+        break;
+      case "batch":
+        result = await client.batch(await readBatchFile(args[0]));
+        break;
+      case "compact":
+        result = await client.compact();
+        break;
+      case "export":
+        result = await client.export(args[0] ? fs.createWriteStream(args[0]) : stdout);
+        break;
+      case "import":
+        result = await client.import(
+          args[0] ? fs.createReadStream(args[0]) : stdin,
+          values["on-conflict"]
+        );
+        break;
+      case "stats":
+        result = await client.stats();
+        break;
+    }
+    printResult(command, result, { json: values.json, stdout, stderr });
+    return 0;
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  } finally {
+    await client.close();
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,60 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+const COMPRESSION_FORMATS = ["none", "gzip", "brotli"];
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const BROTLI_HEADER = Buffer.from("KVBR\n"); // Brotli streams have no magic bytes of their own
+
+/**
+ * Detects the compression format of file contents from their first bytes.
+ * @returns {string} "gzip", "brotli" or "none".
+ */
+function detectFormat(content) {
+  if (content.subarray(0, GZIP_MAGIC.length).equals(GZIP_MAGIC)) {
+    return "gzip";
+  }
+  if (content.subarray(0, BROTLI_HEADER.length).equals(BROTLI_HEADER)) {
+    return "brotli";
+  }
+  return "none";
+}
+
+/**
+ * Compresses a buffer, prefixing brotli output with a header so it can be detected.
+ * @param {Buffer} content - Data to compress.
+ * @param {string} format - "gzip", "brotli" or "none".
+ */
+async function compress(content, format) {
+  if (format === "gzip") {
+    return gzip(content);
+  }
+  if (format === "brotli") {
+    const compressed = await brotliCompress(content, {
+      params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT },
+    });
+    return Buffer.concat([BROTLI_HEADER, compressed]);
+  }
+  return content;
+}
+
+/**
+ * Decompresses a buffer written by compress(), detecting the format from its header.
+ * Uncompressed content is returned as it is.
+ */
+async function decompress(content) {
+  const format = detectFormat(content);
+  if (format === "gzip") {
+    return gunzip(content);
+  }
+  if (format === "brotli") {
+    return brotliDecompress(content.subarray(BROTLI_HEADER.length));
+  }
+  return content;
+}
+
+module.exports = { COMPRESSION_FORMATS, detectFormat, compress, decompress };
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const { ValidationError } = require("./errors");
+
+// KVStore options a config file may set
+const CONFIG_OPTIONS = [
+  "maxKeyLength",
+  "maxValueSize",
+  "maxBatchSize",
+  "maxFileSize",
+  "lockTimeout",
+  "clientQuota",
+  "defaultTtl",
+  "sizeLimit",
+  "evictionPolicy",
+  "compression",
+  "encryptionKey",
+  "encryptionKeyFile",
+  "previousEncryptionKeys",
+  "appendOnly",
+  "recoverTampered",
+  "appendFsync",
+  "logRewriteMinSize",
+  "logRewritePercentage",
+  "expirySweepInterval",
+  "expirySweepBudget",
+  "touchOnRead",
+  "changeHistorySize",
+];
+
+/**
+ * Reads KVStore options from a JSON config file, rejecting unknown options so a typo
+ * does not silently leave a default in place.
+ * @param {string} configPath - Path of the config file.
+ * @returns {object} The options in the file.
+ */
+function readConfigFile(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ValidationError(
+      `Invalid config ${configPath}: must be a JSON object`,
+      "INVALID_CONFIG"
+    );
+  }
+  for (const option of Object.keys(config)) {
+    if (!CONFIG_OPTIONS.includes(option)) {
+      throw new ValidationError(
+        `Invalid config ${configPath}: unknown option ${option}`,
+        "INVALID_CONFIG"
+      );
+    }
+  }
+  return config;
+}
+
+/**
+ * Parses a numeric environment variable; unset stays undefined, and anything that is
+ * not a number is left for the KVStore constructor to reject.
+ */
+function numberFrom(value) {
+  return value === undefined || value === "" ? undefined : Number(value);
+}
+
+/**
+ * Builds KVStore options from the JSON config file named by KV_CONFIG, if any, and
+ * KV_* environment variables, which override the file. Shared by the server and the CLI.
+ * @param {object} env - The environment, process.env by default.
+ * @returns {object} Options for the KVStore constructor.
+ */
+function storeOptionsFromEnv(env = process.env) {
+  const fromEnv = {
+    maxKeyLength: numberFrom(env.KV_MAX_KEY_LENGTH),
+    maxValueSize: numberFrom(env.KV_MAX_VALUE_SIZE),
+    maxBatchSize: numberFrom(env.KV_MAX_BATCH_SIZE),
+    maxFileSize: numberFrom(env.KV_MAX_SIZE),
+    lockTimeout: numberFrom(env.KV_LOCK_TIMEOUT),
+    clientQuota: numberFrom(env.KV_CLIENT_QUOTA),
+    sizeLimit: env.KV_SIZE_LIMIT,
+    evictionPolicy: env.KV_EVICTION_POLICY,
+    compression: env.KV_COMPRESSION,
+    encryptionKey: env.KV_ENCRYPTION_KEY,
+    encryptionKeyFile: env.KV_ENCRYPTION_KEY_FILE,
+    previousEncryptionKeys: env.KV_PREVIOUS_ENCRYPTION_KEYS
+      ? env.KV_PREVIOUS_ENCRYPTION_KEYS.split(",")
+      : undefined,
+  };
+
+  const options = env.KV_CONFIG ? readConfigFile(env.KV_CONFIG) : {};
+  for (const [option, value] of Object.entries(fromEnv)) {
+    if (value !== undefined) {
+      options[option] = value;
+    }
+  }
+  return options;
+}
+
+module.exports = { storeOptionsFromEnv, readConfigFile };
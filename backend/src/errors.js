@@ -0,0 +1,122 @@
+/**
+ * Base class of the errors the store and the API raise on purpose. Each carries a
+ * stable code, like KEY_EXISTS, for callers to branch on instead of matching messages.
+ */
+class KVStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * An argument or a record is not valid, like a non-string key or a negative TTL.
+ */
+class ValidationError extends KVStoreError {
+  constructor(message, code = "INVALID_ARGUMENT") {
+    super(message, code);
+  }
+}
+
+/**
+ * A configured limit was exceeded: KEY_TOO_LONG, VALUE_TOO_LARGE or BATCH_TOO_LARGE.
+ */
+class LimitError extends KVStoreError {}
+
+/**
+ * A key, namespace or index does not exist: KEY_NOT_FOUND, KEY_EXPIRED,
+ * NAMESPACE_NOT_FOUND or INDEX_NOT_FOUND.
+ */
+class NotFoundError extends KVStoreError {
+  constructor(message, code = "KEY_NOT_FOUND") {
+    super(message, code);
+  }
+}
+
+/**
+ * The write conflicts with the current state: KEY_EXISTS, VERSION_MISMATCH,
+ * NAMESPACE_EXISTS, INDEX_EXISTS, IMPORT_CONFLICT, PATCH_TEST_FAILED or TX_ABORTED.
+ */
+class ConflictError extends KVStoreError {}
+
+/**
+ * A lock could not be taken: LOCK_TIMEOUT for a key lock, FILE_LOCKED when another
+ * process holds the data file.
+ */
+class LockError extends KVStoreError {}
+
+/**
+ * There is no room for the write: STORE_FULL at the size limit, QUOTA_EXCEEDED at a
+ * client's storage quota.
+ */
+class CapacityError extends KVStoreError {}
+
+/**
+ * The store does not accept writes: READ_ONLY on read-only stores and replicas.
+ */
+class ReadOnlyError extends KVStoreError {
+  constructor(message) {
+    super(message, "READ_ONLY");
+  }
+}
+
+/**
+ * Reading or writing the files failed: SAVE_FAILED or PERMISSION_DENIED.
+ */
+class StorageError extends KVStoreError {}
+
+/**
+ * A file cannot be read back: CHECKSUM_MISMATCH, CORRUPT_DATA, or DECRYPTION_FAILED
+ * for sealed data that fails authentication.
+ */
+class CorruptionError extends KVStoreError {}
+
+/**
+ * The encryption settings do not allow what was asked: WRONG_KEY or KEY_REQUIRED for
+ * data sealed with an unknown key or with none configured, UNSUPPORTED_ALGORITHM, or
+ * ENCRYPTION_DISABLED.
+ */
+class EncryptionError extends KVStoreError {}
+
+/**
+ * The request has no valid API key: MISSING_API_KEY or INVALID_API_KEY.
+ */
+class AuthenticationError extends KVStoreError {}
+
+/**
+ * The API key may not do what was asked: FORBIDDEN, or ADMIN_REQUIRED on admin routes.
+ */
+class PermissionError extends KVStoreError {}
+
+/**
+ * The client is over its request or byte rate: RATE_LIMITED.
+ */
+class RateLimitError extends KVStoreError {
+  constructor(message) {
+    super(message, "RATE_LIMITED");
+  }
+}
+
+/**
+ * The server cannot take requests right now: SHUTTING_DOWN while it drains.
+ */
+class UnavailableError extends KVStoreError {}
+
+module.exports = {
+  KVStoreError,
+  ValidationError,
+  LimitError,
+  NotFoundError,
+  ConflictError,
+  LockError,
+  CapacityError,
+  ReadOnlyError,
+  StorageError,
+  CorruptionError,
+  EncryptionError,
+  AuthenticationError,
+  PermissionError,
+  RateLimitError,
+  UnavailableError,
+};
@@ -0,0 +1,121 @@
+class EvictionIndex {
+  /**
+   * Tracks key accesses so entries can be evicted in least-recently or
+   * least-frequently used order.
+   * @param {boolean} frequency - Order keys by access count (LFU) instead of recency (LRU).
+   * @param {object} options - decayPeriod in ms (default 60000), after which every
+   *   access count is halved, like Redis's lfu-decay-time.
+   */
+  constructor(frequency = false, { decayPeriod = 60000 } = {}) {
+    this.frequency = frequency;
+    this.decayPeriod = decayPeriod;
+    this.decayedAt = Date.now();
+    this.recency = new Map(); // Keys from least to most recently used
+    this.counts = new Map(); // Access count per key, for LFU
+    this.buckets = new Map(); // Keys per access count, each in least to most recent order
+  }
+
+  get size() {
+    return this.frequency ? this.counts.size : this.recency.size;
+  }
+
+  /**
+   * Records an access to a key, adding it if it is not tracked yet.
+   */
+  touch(key) {
+    if (!this.frequency) {
+      this.recency.delete(key);
+      this.recency.set(key, true);
+      return;
+    }
+
+    this.decay();
+    const count = this.counts.get(key) || 0;
+    if (count > 0) {
+      this.removeFromBucket(key, count);
+    }
+    this.counts.set(key, count + 1);
+    if (!this.buckets.has(count + 1)) {
+      this.buckets.set(count + 1, new Set());
+    }
+    this.buckets.get(count + 1).add(key);
+  }
+
+  /**
+   * Stops tracking a key.
+   */
+  remove(key) {
+    if (!this.frequency) {
+      this.recency.delete(key);
+      return;
+    }
+
+    const count = this.counts.get(key);
+    if (count) {
+      this.counts.delete(key);
+      this.removeFromBucket(key, count);
+    }
+  }
+
+  /**
+   * Yields the tracked keys, first the one to evict first. Keys may be removed
+   * while iterating.
+   */
+  *keys() {
+    if (!this.frequency) {
+      yield* this.recency.keys();
+      return;
+    }
+
+    this.decay();
+    const counts = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const count of counts) {
+      const bucket = this.buckets.get(count);
+      if (bucket) {
+        yield* bucket;
+      }
+    }
+  }
+
+  /**
+   * Halves every access count once per elapsed decay period, so keys that were hot
+   * long ago do not outlive the keys in use now. Counts never drop below 1, and keys
+   * that end up with the same count keep the order of their old counts.
+   */
+  decay() {
+    const periods = Math.floor((Date.now() - this.decayedAt) / this.decayPeriod);
+    if (periods < 1) {
+      return;
+    }
+    this.decayedAt += periods * this.decayPeriod;
+
+    const buckets = new Map();
+    for (const count of [...this.buckets.keys()].sort((a, b) => a - b)) {
+      const decayed = Math.max(1, Math.floor(count / 2 ** periods));
+      if (!buckets.has(decayed)) {
+        buckets.set(decayed, new Set());
+      }
+      for (const key of this.buckets.get(count)) {
+        this.counts.set(key, decayed);
+        buckets.get(decayed).add(key);
+      }
+    }
+    this.buckets = buckets;
+  }
+
+  clear() {
+    this.recency.clear();
+    this.counts.clear();
+    this.buckets.clear();
+  }
+
+  removeFromBucket(key, count) {
+    const bucket = this.buckets.get(count);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.buckets.delete(count);
+    }
+  }
+}
+
+module.exports = EvictionIndex;
@@ -0,0 +1,99 @@
+class ExpiryIndex {
+  /**
+   * Creates a min-heap of keys ordered by expiry timestamp. Entries are never removed
+   * in place: a key that was deleted or given a new expiry leaves a stale entry behind,
+   * which callers recognise by comparing it with the live data when it is popped.
+   */
+  constructor() {
+    this.heap = []; // Array of { key, expiry } ordered as a binary min-heap
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Adds a key with its expiry timestamp.
+   */
+  add(key, expiry) {
+    this.heap.push({ key, expiry });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  /**
+   * Returns the entry with the earliest expiry without removing it.
+   */
+  peek() {
+    return this.heap[0] || null;
+  }
+
+  /**
+   * Removes and returns the entry with the earliest expiry.
+   */
+  pop() {
+    if (this.heap.length === 0) {
+      return null;
+    }
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  /**
+   * Replaces the contents with the expiring entries of a data map, dropping stale entries.
+   * @param {Map} data - Map of key to { expiry } items.
+   */
+  rebuild(data) {
+    this.heap = [];
+    for (const [key, item] of data.entries()) {
+      if (item.expiry) {
+        this.heap.push({ key, expiry: item.expiry });
+      }
+    }
+    for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  clear() {
+    this.heap = [];
+  }
+
+  siftUp(index) {
+    const { heap } = this;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].expiry <= heap[index].expiry) {
+        break;
+      }
+      [heap[parent], heap[index]] = [heap[index], heap[parent]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const { heap } = this;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && heap[left].expiry < heap[smallest].expiry) {
+        smallest = left;
+      }
+      if (right < heap.length && heap[right].expiry < heap[smallest].expiry) {
+        smallest = right;
+      }
+      if (smallest === index) {
+        break;
+      }
+      [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = ExpiryIndex;
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { ValidationError, CorruptionError, EncryptionError } = require("./errors");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16; // Full-length GCM tags; a shorter tag would be easier to forge
+const SEALED_MARKER = "sealed"; // Value of the "$kvstore" field of a sealed envelope
+
+/**
+ * Turns a 32-byte key given as a Buffer, 64 hex characters or base64 into a Buffer.
+ */
+function parseKey(key) {
+  let buffer = key;
+  if (typeof key === "string") {
+    const trimmed = key.trim();
+    buffer = /^[0-9a-fA-F]{64}$/.test(trimmed)
+      ? Buffer.from(trimmed, "hex")
+      : Buffer.from(trimmed, "base64");
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length !== 32) {
+    throw new ValidationError("Encryption key must be 32 bytes, given as hex or base64");
+  }
+  return buffer;
+}
+
+/**
+ * Identifies a key without revealing it, so a sealed envelope names the key it needs.
+ */
+function keyIdOf(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+class FileCipher {
+  /**
+   * Seals data with AES-256-GCM. New data is always sealed with the current key;
+   * previous keys are only used to open data sealed before a rotation.
+   * @param {object} options - key or keyFile for the current key, and previousKeys,
+   *   an array of keys still accepted for reading.
+   */
+  constructor({ key, keyFile, previousKeys = [] } = {}) {
+    if (keyFile) {
+      key = fs.readFileSync(keyFile, "utf8");
+    }
+    this.keys = new Map(); // Key id to key, for every key that can open data
+    this.rotate(key);
+    for (const previous of previousKeys) {
+      const buffer = parseKey(previous);
+      this.keys.set(keyIdOf(buffer), buffer);
+    }
+    this.needsReseal = false; // Set when data was read that is not sealed with the current key
+  }
+
+  /**
+   * Makes a new key current. The old keys stay available for opening data.
+   */
+  rotate(key) {
+    const buffer = parseKey(key);
+    this.keyId = keyIdOf(buffer);
+    this.key = buffer;
+    this.keys.set(this.keyId, buffer);
+  }
+
+  /**
+   * Checks whether a parsed JSON value is a sealed envelope.
+   */
+  static isSealed(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      value.$kvstore === SEALED_MARKER
+    );
+  }
+
+  /**
+   * Encrypts a string or Buffer into an envelope of { $kvstore, alg, keyId, iv, tag, data }.
+   */
+  seal(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv, {
+      authTagLength: TAG_LENGTH,
+    });
+    const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+    return {
+      $kvstore: SEALED_MARKER,
+      alg: ALGORITHM,
+      keyId: this.keyId,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+  }
+
+  /**
+   * Decrypts an envelope made by seal(), with whichever known key sealed it, into a
+   * Buffer. Throws if the key is unknown or the data was tampered with, which includes
+   * an authentication tag shorter than the one seal() makes.
+   */
+  open(envelope) {
+    if (envelope.alg !== ALGORITHM) {
+      throw new EncryptionError(
+        `Unsupported encryption algorithm: ${envelope.alg}`,
+        "UNSUPPORTED_ALGORITHM"
+      );
+    }
+    const key = this.keys.get(envelope.keyId);
+    if (!key) {
+      throw new EncryptionError(
+        `Wrong encryption key: data was sealed with key ${envelope.keyId}`,
+        "WRONG_KEY"
+      );
+    }
+
+    try {
+      const tag = Buffer.from(envelope.tag, "base64");
+      if (tag.length !== TAG_LENGTH) {
+        throw new Error(`Authentication tag is ${tag.length} bytes`);
+      }
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        key,
+        Buffer.from(envelope.iv, "base64"),
+        { authTagLength: TAG_LENGTH }
+      );
+      decipher.setAuthTag(tag);
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, "base64")),
+        decipher.final(),
+      ]);
+      if (envelope.keyId !== this.keyId) {
+        this.needsReseal = true;
+      }
+      return plaintext;
+    } catch (error) {
+      throw new CorruptionError(
+        "Decryption failed: data was tampered with or corrupted",
+        "DECRYPTION_FAILED"
+      );
+    }
+  }
+}
+
+module.exports = FileCipher;
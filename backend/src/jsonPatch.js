@@ -0,0 +1,203 @@
+const { ValidationError, ConflictError } = require("./errors");
+
+const PATCH_OPS = ["add", "remove", "replace", "move", "copy", "test"];
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * Splits a JSON Pointer (RFC 6901) like "/address/city" into unescaped tokens.
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new Error(`Invalid JSON Pointer: ${pointer}`);
+  }
+  if (pointer === "") {
+    return [];
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === "object";
+}
+
+/**
+ * Checks two JSON values for structural equality, as the "test" operation requires.
+ */
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key])
+  );
+}
+
+/**
+ * Resolves an array index token. "-" (past the end) is only allowed when adding.
+ */
+function arrayIndex(array, token, pointer, { append = false } = {}) {
+  if (append && token === "-") {
+    return array.length;
+  }
+  if (!ARRAY_INDEX.test(token)) {
+    throw new Error(`Invalid array index in path: ${pointer}`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!append && index === array.length)) {
+    throw new Error(`Array index out of bounds: ${pointer}`);
+  }
+  return index;
+}
+
+/**
+ * Walks to the container holding the last token of a pointer.
+ * @returns {object} { parent, token }
+ */
+function resolveParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const token = tokens.pop();
+  let parent = document;
+  for (const part of tokens) {
+    if (!isContainer(parent)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    const key = Array.isArray(parent) ? arrayIndex(parent, part, pointer) : part;
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    parent = parent[key];
+  }
+  if (!isContainer(parent)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  return { parent, token };
+}
+
+function getValue(document, pointer) {
+  if (pointer === "") {
+    return document;
+  }
+  const { parent, token } = resolveParent(document, pointer);
+  const key = Array.isArray(parent) ? arrayIndex(parent, token, pointer) : token;
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  return parent[key];
+}
+
+function addValue(document, pointer, value) {
+  if (pointer === "") {
+    return value;
+  }
+  const { parent, token } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, { append: true }), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+}
+
+function replaceValue(document, pointer, value) {
+  if (pointer === "") {
+    return value;
+  }
+  getValue(document, pointer);
+  const { parent, token } = resolveParent(document, pointer);
+  parent[Array.isArray(parent) ? Number(token) : token] = value;
+  return document;
+}
+
+function removeValue(document, pointer) {
+  if (pointer === "") {
+    throw new Error("Cannot remove the whole value");
+  }
+  const { parent, token } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, token)) {
+    delete parent[token];
+  } else {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  return document;
+}
+
+/**
+ * Applies JSON Patch (RFC 6902) operations to a JSON value. The operations are applied
+ * to a copy in order, and the original is left untouched if any of them fails. A failed
+ * "test" operation throws an error with code PATCH_TEST_FAILED.
+ * @param {any} document - The JSON value to patch.
+ * @param {object[]} ops - Operations like { op: "replace", path: "/name", value: "Bob" }.
+ * @returns {any} The patched value.
+ */
+function applyPatch(document, ops) {
+  if (!Array.isArray(ops)) {
+    throw new ValidationError("Patch must be an array of operations", "PATCH_INVALID");
+  }
+
+  let result = document === undefined ? null : JSON.parse(JSON.stringify(document));
+  ops.forEach((operation, index) => {
+    try {
+      if (!isContainer(operation) || !PATCH_OPS.includes(operation.op)) {
+        throw new Error(`Unknown operation: ${operation && operation.op}`);
+      }
+      const { op, path, from, value } = operation;
+      if (["add", "replace", "test"].includes(op) && value === undefined) {
+        throw new Error(`Missing value for ${op}`);
+      }
+
+      switch (op) {
+        case "add":
+          result = addValue(result, path, JSON.parse(JSON.stringify(value)));
+          break;
+        case "remove":
+          result = removeValue(result, path);
+          break;
+        case "replace":
+          result = replaceValue(result, path, JSON.parse(JSON.stringify(value)));
+          break;
+        case "move": {
+          if (typeof path === "string" && path.startsWith(`${from}/`)) {
+            throw new Error(`Cannot move ${from} into its own child ${path}`);
+          }
+          const moved = getValue(result, from);
+          if (path !== from) {
+            result = addValue(removeValue(result, from), path, moved);
+          }
+          break;
+        }
+        case "copy":
+          result = addValue(
+            result,
+            path,
+            JSON.parse(JSON.stringify(getValue(result, from)))
+          );
+          break;
+        case "test":
+          if (!deepEqual(getValue(result, path), value)) {
+            throw new ConflictError(`Test failed at path: ${path}`, "PATCH_TEST_FAILED");
+          }
+          break;
+      }
+    } catch (error) {
+      const message = `Patch operation ${index} failed: ${error.message}`;
+      throw error.code === "PATCH_TEST_FAILED"
+        ? new ConflictError(message, error.code)
+        : new ValidationError(message, "PATCH_INVALID");
+    }
+  });
+  return result;
+}
+
+module.exports = { applyPatch };
@@ -1,39 +1,191 @@
 const fs = require("fs");
+const crypto = require("crypto");
 const fsp = fs.promises;
 const path = require("path");
 const os = require("os");
 const lockfile = require("proper-lockfile");
 const stream = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { EventEmitter } = require("events");
 const { promisify } = require("util");
+const AppendLog = require("./appendLog");
+const ExpiryIndex = require("./expiryIndex");
+const EvictionIndex = require("./evictionIndex");
+const SecondaryIndex = require("./secondaryIndex");
+const SortedSet = require("./sortedSet");
+const { applyPatch } = require("./jsonPatch");
+const FileCipher = require("./fileCipher");
+const { COMPRESSION_FORMATS, detectFormat, compress, decompress } = require("./compression");
+const { addChecksum, verifyChecksum } = require("./checksum");
+const {
+  KVStoreError,
+  ValidationError,
+  LimitError,
+  NotFoundError,
+  ConflictError,
+  LockError,
+  CapacityError,
+  ReadOnlyError,
+  StorageError,
+  CorruptionError,
+  EncryptionError,
+} = require("./errors");
 
 const pipeline = promisify(stream.pipeline);
 
-class KVStore {
+const TRANSACTION_OPS = ["create", "update", "upsert", "delete"];
+const IMPORT_CONFLICT_MODES = ["skip", "overwrite", "fail"];
+const IMPORT_BATCH_SIZE = 500; // Records applied and persisted together during import
+const NAMESPACE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const INDEX_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const SIZE_LIMIT_MODES = ["logical", "disk"];
+// Options that set limits, each a positive integer when given
+const LIMIT_OPTIONS = [
+  "maxKeyLength",
+  "maxValueSize",
+  "maxBatchSize",
+  "maxFileSize",
+  "lockTimeout",
+  "clientQuota",
+];
+const EVICTION_POLICIES = [
+  "noeviction",
+  "allkeys-lru",
+  "allkeys-lfu",
+  "volatile-lru",
+  "volatile-ttl",
+];
+
+// Keys that would be hidden by the store-wide REST routes, like GET /api/kv/export
+const RESERVED_KEYS = ["watch", "export", "query", "indexes"];
+// Where the data file keeps versionFloor, next to the entries; user keys cannot start
+// with a NUL character
+const VERSION_FLOOR_KEY = "\u0000versionFloor";
+// Change event emitted for each mutation record op, unless the record names its own
+const CHANGE_EVENTS = { set: "updated", del: "deleted", expire: "expired" };
+
+/**
+ * Orders keys by UTF-16 code units, like the default sort of strings.
+ */
+function compareKeys(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+class KVStore extends EventEmitter {
   /**
    * Initializes the KVStore with options for file path and constraints.
    * @param {string} filePath - Optional file path for storage.
    * @param {object} options - Optional configuration for batch size, file size, etc.
    */
   constructor(filePath = null, options = {}) {
+    super();
+    this.setMaxListeners(0); // Every watcher adds a listener
     this.filePath = filePath || path.join(os.homedir(), ".kvstore.json");
     this.data = new Map(); // In-memory store for key-value pairs
+    this.keyIndex = new SortedSet(compareKeys); // Stored keys in order, for scan()
+    // Highest version of any removed entry, so a key that comes back starts above it
+    this.versionFloor = 0;
     this.lock = new Map(); // Locks for concurrent access control
+    this.internalLocks = new Map(); // Locks of store-wide operations, apart from user keys
     this.currentSize = 0; // Tracks the current file size
     this.isDirty = false; // Indicates if data needs to be saved
     this.saveTimeout = null; // Timeout for save debounce
-    this.maxBatchSize = options.maxBatchSize || 1000; // Max batch size for batchCreate
+    for (const option of LIMIT_OPTIONS) {
+      const limit = options[option];
+      if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+        throw new ValidationError(`${option} must be a positive integer`);
+      }
+    }
+    this.maxBatchSize = options.maxBatchSize || 1000; // Max items in a batch, transaction or page
     this.maxFileSize = options.maxFileSize || 1024 * 1024 * 1024; // Max file size in bytes (default 1GB)
-    this.maxValueSize = 16 * 1024; // Max value size in bytes (default 16KB)
-    this.maxKeyLength = 32; // Max key length (default 32 chars)
-    this.lockInstance = null; // Instance of file lock
+    this.maxValueSize = options.maxValueSize || 16 * 1024; // Max value size in bytes (default 16KB)
+    this.maxKeyLength = options.maxKeyLength || 32; // Max key length (default 32 chars)
+    this.lockTimeout = options.lockTimeout || 1000; // Max wait for a key lock in ms
+    this.lockInstance = null; // Releases the file lock
     this.savePromise = null; // Promise for the ongoing save operation
     this.saveQueue = []; // Queue for managing multiple save requests
+    this.cipher =
+      options.encryptionKey || options.encryptionKeyFile
+        ? new FileCipher({
+            key: options.encryptionKey,
+            keyFile: options.encryptionKeyFile,
+            previousKeys: options.previousEncryptionKeys,
+          })
+        : null; // Seals the data file and log records with AES-256-GCM
+    this.compression = options.compression || "none"; // Compression of the data file: "none", "gzip" or "brotli"
+    if (!COMPRESSION_FORMATS.includes(this.compression)) {
+      throw new ValidationError(`Invalid compression format: ${this.compression}`);
+    }
+    this.sizeLimit = options.sizeLimit || "logical"; // Whether maxFileSize applies to the JSON size or the size on disk
+    if (!SIZE_LIMIT_MODES.includes(this.sizeLimit)) {
+      throw new ValidationError(`Invalid size limit mode: ${this.sizeLimit}`);
+    }
+    this.diskRatio = 1; // On-disk bytes per logical byte at the last load or save
+    this.recoverTampered = options.recoverTampered || false; // Recover from a data file that fails decryption instead of failing
+    this.logNeedsRewrite = false; // Set when replay skipped unreadable log records
+    this.appendLog = options.appendOnly
+      ? new AppendLog(`${this.filePath}.log`, {
+          fsync: options.appendFsync,
+          cipher: this.cipher,
+          readOnly: options.readOnly,
+        })
+      : null; // Append-only log of mutations, replayed on top of the snapshot
+    this.logRewriteMinSize = options.logRewriteMinSize || 64 * 1024 * 1024; // Min log size before an automatic rewrite
+    this.logRewritePercentage = options.logRewritePercentage || 100; // Log growth (% of snapshot size) that triggers a rewrite
+    this.rewritePromise = null; // Promise for the ongoing log rewrite
+    this.expiryIndex = new ExpiryIndex(); // Keys with a TTL, ordered by expiry
+    this.expirySweepInterval = options.expirySweepInterval ?? 1000; // Interval between expiry sweeps in ms (0 disables)
+    this.expirySweepBudget = options.expirySweepBudget || 25; // Max time spent in one sweep in ms
+    this.sweepTimer = null; // Interval for the active expiry sweep
+    this.touchOnRead = (options.touchOnRead && !options.readOnly) || false; // Slide expiry forward on every read
+    this.sequence = 0; // Sequence number of the last change event
+    this.changeHistory = []; // Recent change events, kept so watchers can resume
+    this.changeHistorySize = options.changeHistorySize || 1000; // Max change events kept for resuming
+    this.replicationId = crypto.randomBytes(8).toString("hex"); // Identifies this run's change sequence to followers
+    this.replicaOf = null; // URL of the primary while this store follows one over replication
+    this.defaultTtl = options.defaultTtl || null; // TTL in seconds for writes that do not set one
+    this.options = options; // Kept so namespaces inherit the store configuration
+    this.namespaceDir = this.filePath.replace(/\.json$/, "") + ".namespaces"; // Directory of namespace data files
+    this.namespaces = new Map(); // Open namespace stores by name
+    this.namespaceConfigs = new Map(); // Namespace limits by name, persisted in the registry
+    this.clientQuota = options.clientQuota || null; // Default storage quota per client in bytes
+    this.ownerUsage = new Map(); // Bytes stored per client, for entries written with an owner
+    this.evictionPolicy = options.evictionPolicy || "noeviction"; // What to do when a write would exceed maxFileSize
+    if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+      throw new ValidationError(`Invalid eviction policy: ${this.evictionPolicy}`);
+    }
+    this.evictionIndex = /-l[rf]u$/.test(this.evictionPolicy)
+      ? new EvictionIndex(this.evictionPolicy === "allkeys-lfu")
+      : null; // Key access order for the LRU and LFU policies
+    this.evictedKeys = 0; // Number of keys evicted to make room for writes
+    this.expiredKeys = 0; // Number of keys removed after their TTL ran out
+    this.readHits = 0; // Reads that found a live key
+    this.readMisses = 0; // Reads of missing or expired keys
+    this.lockWaits = 0; // Lock acquisitions that had to wait for another operation
+    this.lockWaitMs = 0; // Total time spent waiting for key locks in ms
+    this.saves = 0; // Completed saves of the data file
+    this.saveFailures = 0; // Saves that failed
+    this.saveMs = 0; // Total time spent in saves in ms
+    this.indexes = new Map(); // Secondary indexes on JSON paths by name
+    this.indexFile = this.filePath.replace(/\.json$/, "") + ".indexes.json"; // Definitions of the secondary indexes
+    this.readOnly = options.readOnly || false; // Follow the files of a primary process without locking or writing them
+    this.reloadInterval = options.reloadInterval || 1000; // Interval between checks for changes by the primary in ms
+    this.reloadTimer = null; // Interval polling the files of the primary, in read-only mode
+    this.reloadPromise = null; // Promise for the ongoing reload
+    this.fileStamp = null; // Modification times and sizes of the files at the last load
   }
 
   /**
    * Initializes the data store, ensuring the storage file exists and loading data into memory.
    */
   async initialize() {
+    if (this.readOnly) {
+      return this.follow();
+    }
+
     try {
       // Ensure directory exists
       await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
@@ -57,417 +209,2674 @@ class KVStore {
         },
       });
 
+      await this.loadIndexes();
       await this.loadData();
+      if (this.appendLog) {
+        await this.appendLog.open();
+      }
+      if (this.cipher && this.cipher.needsReseal) {
+        await this.reseal();
+      } else if (this.logNeedsRewrite) {
+        await this.rewriteLog(); // Drops the skipped records, kept in the quarantine file
+      }
+      this.logNeedsRewrite = false;
+      await this.loadNamespaces();
+      if (this.expirySweepInterval > 0) {
+        this.sweepTimer = setInterval(() => {
+          this.sweepExpired().catch(console.error);
+        }, this.expirySweepInterval);
+        this.sweepTimer.unref();
+      }
       return this;
     } catch (error) {
       if (error.code === "ELOCKED") {
-        throw new Error("File is being used by another process");
+        throw new LockError("File is being used by another process", "FILE_LOCKED");
       }
       throw error;
     }
   }
 
   /**
-   * Loads data from the storage file into memory, applying TTLs for expired entries.
+   * Opens a read-only store: loads the files of the primary process without taking
+   * the lock, then polls them and reloads whenever the primary rewrites them.
    */
-  async loadData() {
-    try {
-      const stats = await fsp.stat(this.filePath);
-
-      if (stats.size > this.maxFileSize) {
-        throw new Error("Data file exceeds 1GB limit");
-      }
-
-      const fileContent = await fsp.readFile(this.filePath, "utf8");
-
-      if (!fileContent.trim()) {
-        this.data.clear();
-        this.currentSize = 0;
-        return;
-      }
-
-      const data = JSON.parse(fileContent);
-      const now = Date.now();
+  async follow() {
+    this.fileStamp = await this.readFileStamp();
+    await this.loadIndexes();
+    await this.loadData();
+    await this.loadNamespaces();
+    this.reloadTimer = setInterval(() => {
+      this.checkForChanges().catch(console.error);
+    }, this.reloadInterval);
+    this.reloadTimer.unref();
+    return this;
+  }
 
-      this.data.clear();
-      this.currentSize = 0;
+  /**
+   * Reloads a read-only store if the primary has changed its files since the last load.
+   */
+  async checkForChanges() {
+    if (this.reloadPromise) {
+      return;
+    }
+    const stamp = await this.readFileStamp();
+    if (stamp !== this.fileStamp) {
+      await this.reload(stamp);
+    }
+  }
 
-      Object.entries(data).forEach(([key, item]) => {
-        if (!item.expiry || item.expiry > now) {
-          this.data.set(key, item);
-          this.currentSize += this.estimateEntrySize(key, item.value);
-        }
+  /**
+   * Reloads a read-only store from the files of the primary. The data is loaded into a
+   * fresh store and swapped in, so reads never see a half-loaded state. If loading
+   * fails, the previous data is kept until the files change again. Emits "reload".
+   * @param {string} stamp - The file stamp the reload is for, read now if not given.
+   */
+  async reload(stamp) {
+    if (!this.reloadPromise) {
+      this.reloadPromise = this.executeReload(stamp).finally(() => {
+        this.reloadPromise = null;
       });
-    } catch (error) {
-      if (error.code !== "ENOENT") {
-        throw error;
-      }
-      this.currentSize = 0;
     }
+    return this.reloadPromise;
   }
 
   /**
-   * Creates a key-value pair in the store with optional TTL. Ensures constraints like file size, key uniqueness.
-   * @param {string} key - The key for the value.
-   * @param {any} value - The JSON-serializable value to store.
-   * @param {number} ttl - Optional time-to-live in seconds for expiry.
+   * Executes a reload, see reload().
    */
-  async create(key, value, ttl = null) {
-    this.validateKey(key);
-    this.validateValue(value);
+  async executeReload(stamp) {
+    this.fileStamp = stamp || (await this.readFileStamp());
+    const next = new KVStore(this.filePath, this.options);
+    await next.loadIndexes();
+    await next.loadData();
 
-    const entrySize = this.estimateEntrySize(key, value);
+    this.data = next.data;
+    this.keyIndex = next.keyIndex;
+    this.versionFloor = next.versionFloor;
+    this.currentSize = next.currentSize;
+    this.diskRatio = next.diskRatio;
+    this.expiryIndex = next.expiryIndex;
+    this.evictionIndex = next.evictionIndex;
+    this.ownerUsage = next.ownerUsage;
+    this.indexes = next.indexes;
+    await this.loadNamespaces();
+    this.emit("reload", { keys: this.data.size });
+  }
 
-    await this.acquireLock(key);
-    try {
-      const potentialSize = this.currentSize + entrySize;
-      if (potentialSize > this.maxFileSize) {
-        throw new Error(
-          `Data file would exceed ${this.maxFileSize} bytes limit`
-        );
-      }
+  /**
+   * Describes the files the primary writes, so a follower can tell when they change.
+   * Saves replace the data file, so its inode changes even if its size and
+   * modification time do not.
+   */
+  async readFileStamp() {
+    const files = [
+      this.filePath,
+      this.indexFile,
+      path.join(this.namespaceDir, "namespaces.json"),
+    ];
+    if (this.appendLog) {
+      files.push(this.appendLog.logPath);
+    }
 
-      if (this.data.has(key)) {
-        const existing = this.data.get(key);
-        if (!existing.expiry || existing.expiry > Date.now()) {
-          throw new Error("Key already exists");
+    const parts = [];
+    for (const file of files) {
+      try {
+        const stats = await fsp.stat(file);
+        parts.push(`${stats.ino}:${stats.size}:${stats.mtimeMs}`);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
         }
+        parts.push("-");
       }
-
-      const expiry = ttl ? Date.now() + ttl * 1000 : null;
-      this.data.set(key, { value, expiry });
-      this.currentSize += entrySize;
-
-      await this.queueSave();
-    } catch (error) {
-      this.data.delete(key);
-      this.currentSize -= entrySize;
-      throw error;
-    } finally {
-      this.releaseLock(key);
     }
+    return parts.join(",");
   }
 
   /**
-   * Adds the save operation to a queue to ensure sequential saving and prevent conflicts.
+   * Marks this store and its namespaces as a replica of a primary, so all of them
+   * reject writes of their own. Only the root keyspace is replicated.
+   * @param {string} primaryUrl - URL of the primary, or null to make them writable again.
    */
-  async queueSave() {
-    if (!this.savePromise) {
-      this.savePromise = this.executeSave();
-    }
-
-    try {
-      await this.savePromise;
-    } catch (error) {
-      throw new Error(`Failed to save data: ${error.message}`);
+  setReplicaOf(primaryUrl) {
+    this.replicaOf = primaryUrl;
+    for (const namespace of this.namespaces.values()) {
+      namespace.setReplicaOf(primaryUrl);
     }
   }
 
   /**
-   * Executes the save operation, processing queued save requests.
+   * Rejects a mutating call on a read-only store.
    */
-  async executeSave() {
-    try {
-      await this.saveData();
-    } finally {
-      this.savePromise = null;
-      if (this.saveQueue.length > 0) {
-        const nextSave = this.saveQueue.shift();
-        this.savePromise = this.executeSave()
-          .then(nextSave.resolve)
-          .catch(nextSave.reject);
-      }
+  assertWritable() {
+    if (this.readOnly || this.replicaOf) {
+      throw new ReadOnlyError(
+        this.replicaOf
+          ? `Store is a read-only replica of ${this.replicaOf}`
+          : "Store is read-only"
+      );
     }
   }
 
   /**
-   * Saves the data from memory to the file, ensuring data integrity and respecting the file size limit.
+   * Loads data from the storage file into memory, replaying the append-only log
+   * on top of it if enabled and applying TTLs for expired entries.
    */
-  async saveData() {
-    const fileData = {};
-    let totalSize = 0;
-
-    for (const [key, value] of this.data.entries()) {
-      fileData[key] = value;
-      totalSize += this.estimateEntrySize(key, value.value);
-    }
-
-    if (totalSize > this.maxFileSize) {
-      throw new Error(`Data file would exceed ${this.maxFileSize} bytes limit`);
-    }
-
-    const content = JSON.stringify(fileData);
-    const tempPath = `${this.filePath}.tmp`;
+  async loadData() {
+    const { data, size } = await this.readSnapshot();
 
-    try {
-      await fsp.writeFile(tempPath, content, "utf8");
+    this.data.clear();
+    this.currentSize = 0;
+    this.versionFloor = data[VERSION_FLOOR_KEY] || 0;
+    delete data[VERSION_FLOOR_KEY];
 
-      try {
-        await fsp.rename(tempPath, this.filePath);
-      } catch (renameError) {
-        try {
-          await fsp.unlink(tempPath);
-        } catch (unlinkError) {
-          // Ignore unlink errors
-        }
-        throw renameError;
-      }
+    Object.entries(data).forEach(([key, item]) => {
+      this.data.set(key, { ...item, version: item.version || 1 });
+    });
 
-      this.currentSize = totalSize;
-      this.isDirty = false;
-    } catch (error) {
-      if (error.code === "EACCES") {
-        throw new Error(`Permission denied: Cannot write to ${this.filePath}`);
-      }
-      throw error;
+    let skipped = [];
+    if (this.appendLog) {
+      ({ skipped } = await this.appendLog.replay((record) => this.applyRecord(record)));
     }
-  }
-
-  /**
-   * Attempts to acquire a lock for the given key to handle concurrent operations safely.
-   */
-  async acquireLock(key) {
-    const maxAttempts = 100;
-    let attempts = 0;
 
-    while (this.lock.get(key)) {
-      if (attempts >= maxAttempts) {
-        throw new Error(`Failed to acquire lock for key: ${key}`);
+    const now = Date.now();
+    this.ownerUsage.clear();
+    if (this.evictionIndex) {
+      this.evictionIndex.clear();
+    }
+    for (const [key, item] of this.data.entries()) {
+      if (item.expiry && item.expiry <= now) {
+        this.data.delete(key);
+        this.versionFloor = Math.max(this.versionFloor, item.version);
+      } else {
+        this.currentSize += this.estimateEntrySize(key, item.value);
+        this.trackUsage(key, item, 1);
+        this.touchEntry(key);
       }
-      await new Promise((resolve) => setTimeout(resolve, 10));
-      attempts++;
     }
-    this.lock.set(key, true);
+    this.expiryIndex.rebuild(this.data);
+    this.keyIndex.load([...this.data.keys()].sort(compareKeys));
+    this.diskRatio = this.currentSize > 0 ? size / this.currentSize : 1;
+    for (const index of this.indexes.values()) {
+      index.rebuild(this.data);
+    }
+    // A follower leaves the log of the primary alone and just goes without the records
+    if (skipped.length > 0 && !this.readOnly) {
+      await this.quarantineLogRecords(skipped);
+    }
   }
 
   /**
-   * Releases the lock for a given key after an operation completes.
+   * Moves unreadable records of the append-only log, skipped on replay, to a file with
+   * a timestamp and reports them like a snapshot recovery. The next log rewrite drops
+   * them from the log.
+   * @param {object[]} skipped - The { line, text } of each skipped record.
    */
-  releaseLock(key) {
-    this.lock.delete(key);
+  async quarantineLogRecords(skipped) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const quarantinedAs = `${this.appendLog.logPath}.corrupt-${timestamp}`;
+    await fsp.writeFile(
+      quarantinedAs,
+      skipped.map(({ text }) => `${text}\n`).join(""),
+      "utf8"
+    );
+    this.logNeedsRewrite = true;
+
+    const lines = skipped.map(({ line }) => line).join(", ");
+    this.reportRecovery({
+      error: `Corrupted log records at lines ${lines}`,
+      quarantinedAs,
+      recoveredFrom: "log",
+      savedAt: null,
+      keys: this.data.size,
+      lost: `${skipped.length} log records`,
+    });
   }
 
   /**
-   * Estimates the memory size of an entry to enforce the file size limit.
+   * Tells whether a data file that failed to load is corrupt and may be replaced by
+   * recovery, as opposed to a configuration error like a wrong key. A file that fails
+   * decryption may have been tampered with, so it only is with recoverTampered.
    */
-  estimateEntrySize(key, value) {
-    return Buffer.from(
-      JSON.stringify({
-        [key]: {
-          value,
-          expiry: null,
-        },
-      })
-    ).length;
+  isRecoverable(error) {
+    return (
+      error instanceof CorruptionError &&
+      (error.code !== "DECRYPTION_FAILED" || this.recoverTampered)
+    );
   }
 
   /**
-   * Cleans up the store by saving data and releasing any locks.
+   * Reads the data file, recovering it if it is corrupt or missing. A valid file wins,
+   * and a temp file left by a save that never completed is discarded.
+   * @returns {object} { data, size } with the entries by key and the file size.
    */
-  async cleanup() {
+  async readSnapshot() {
+    let failure = null;
     try {
-      clearTimeout(this.saveTimeout);
+      const stats = await fsp.stat(this.filePath);
+      if (stats.size > this.maxFileSize) {
+        throw new CapacityError(
+          `Data file exceeds ${formatBytes(this.maxFileSize)} limit`,
+          "STORE_FULL"
+        );
+      }
 
-      if (this.isDirty) {
-        await this.saveData();
+      const snapshot = await this.readDataFile(this.filePath);
+      if (!this.readOnly) {
+        await fsp.rm(`${this.filePath}.tmp`, { force: true });
       }
+      return snapshot;
     } catch (error) {
-      console.error("Error during cleanup:", error);
-    } finally {
-      if (this.lockInstance) {
-        try {
-          await lockfile.unlock(this.filePath, { lockfile: this.lockInstance });
-        } catch (unlockError) {
-          console.error("Error releasing lock:", unlockError);
+      // A follower never moves the files of the primary, which does its own recovery
+      if (this.readOnly) {
+        if (error.code === "ENOENT") {
+          return { data: {}, size: 0 };
         }
-        this.lockInstance = null;
+        throw error;
+      }
+      if (error.code !== "ENOENT" && !this.isRecoverable(error)) {
+        throw error;
+      }
+      if (error.code !== "ENOENT") {
+        failure = error;
       }
     }
+    return this.recoverSnapshot(failure);
   }
 
   /**
-   * Schedules a save operation with debouncing to avoid frequent disk writes.
+   * Recovers the data file from the temp file of an interrupted save, or else from the
+   * backup of the previous save. A corrupt data file is first moved aside with a
+   * timestamp. The outcome is reported as a "recovery" event and kept in lastRecovery;
+   * when nothing can be recovered the store starts empty instead of failing.
+   * @param {Error} failure - Why the data file could not be read, or null if it is missing.
    */
-  scheduleSave() {
-    this.isDirty = true;
-    clearTimeout(this.saveTimeout);
-    this.saveTimeout = setTimeout(() => {
-      this.saveData().catch(console.error);
-    }, 1000); // Debounce for 1 second
+  async recoverSnapshot(failure) {
+    const report = {
+      error: failure ? failure.message : "Data file is missing",
+      quarantinedAs: null,
+      recoveredFrom: null,
+      savedAt: null,
+      keys: 0,
+      lost: "all data",
+    };
+    if (failure) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      report.quarantinedAs = `${this.filePath}.corrupt-${timestamp}`;
+      await fsp.rename(this.filePath, report.quarantinedAs);
+    }
+
+    const candidates = [
+      ["temp", `${this.filePath}.tmp`],
+      ["backup", `${this.filePath}.bak`],
+    ];
+    for (const [source, file] of candidates) {
+      let snapshot;
+      let stats;
+      try {
+        stats = await fsp.stat(file);
+        snapshot = await this.readDataFile(file);
+      } catch (error) {
+        if (error.code === "ENOENT" || this.isRecoverable(error)) {
+          continue;
+        }
+        throw error;
+      }
+
+      if (source === "temp") {
+        await fsp.rename(file, this.filePath);
+      } else {
+        await fsp.copyFile(file, this.filePath);
+      }
+      report.recoveredFrom = source;
+      report.savedAt = stats.mtime.toISOString();
+      report.keys = Object.keys(snapshot.data).length;
+      report.lost = `changes saved after ${report.savedAt}`;
+      this.reportRecovery(report);
+      return snapshot;
+    }
+
+    if (failure) {
+      this.reportRecovery(report);
+    }
+    return { data: {}, size: 0 };
   }
 
   /**
-   * Validates the key to ensure it is a string and does not exceed the maximum length.
+   * Publishes the outcome of a recovery and logs what was lost.
    */
-  validateKey(key) {
-    if (typeof key !== "string") {
-      throw new Error("Key must be a string");
-    }
-    if (key.length > this.maxKeyLength) {
-      throw new Error("Key cannot exceed 32 characters");
-    }
+  reportRecovery(report) {
+    this.lastRecovery = report;
+    this.emit("recovery", report);
+    const moved = report.quarantinedAs ? ` Moved it to ${report.quarantinedAs}.` : "";
+    const outcome = report.recoveredFrom
+      ? `Recovered ${report.keys} keys from the ${report.recoveredFrom} file; ${report.lost} were lost.`
+      : "Nothing to recover from; starting empty, all data was lost.";
+    console.warn(`${this.filePath}: ${report.error}.${moved} ${outcome}`);
   }
 
   /**
-   * Validates the value to ensure it is within the allowed size.
+   * Reads and decodes a data file, checking its checksum footer if it has one.
+   * @returns {object} { data, size, checksum } with checksum "valid" or "missing".
    */
-  validateValue(value) {
-    const valueSize = Buffer.from(JSON.stringify(value)).length;
-    if (valueSize > this.maxValueSize) {
-      throw new Error("Value size cannot exceed 16KB");
-    }
+  async readDataFile(file) {
+    const fileContent = await fsp.readFile(file);
+    const { content, checksum } = verifyChecksum(fileContent);
+    const data = await this.decodeData(content);
+    return { data, size: fileContent.length, checksum };
   }
 
   /**
-   * Creates multiple key-value pairs in batch. Enforces batch size, file size, and key constraints.
+   * Serializes the data set for the data file: JSON, compressed if enabled, then sealed
+   * if encryption is enabled.
+   * @param {object} fileData - Entries by key.
+   * @returns {Buffer} The file contents.
    */
-  async batchCreate(items) {
-    // Ensure items is an array and does not exceed batch size
-    if (!Array.isArray(items)) {
-      throw new Error("Items must be an array");
+  async encodeData(fileData) {
+    let content = Buffer.from(JSON.stringify(fileData), "utf8");
+    if (this.compression !== "none") {
+      content = await compress(content, this.compression);
     }
-    if (items.length > this.maxBatchSize) {
-      throw new Error("Batch size cannot exceed 1000 items");
+    if (this.cipher) {
+      content = Buffer.from(JSON.stringify(this.cipher.seal(content)), "utf8");
     }
+    return content;
+  }
 
-    const failedKeys = [];
-    const validItems = [];
-    let totalNewSize = 0;
-
-    // Validate each item and calculate the total size increase
-    for (const [key, value, ttl] of items) {
-      try {
-        // Validate key and value constraints
-        this.validateKey(key);
-        this.validateValue(value);
-
-        // Estimate the size of this entry
-        const entrySize = this.estimateEntrySize(key, value);
-        totalNewSize += entrySize;
-
-        // Check if the key already exists and is not expired
-        if (this.data.has(key)) {
-          const existing = this.data.get(key);
-          if (!existing.expiry || existing.expiry > Date.now()) {
-            failedKeys.push(key); // Key already exists and is valid, so it fails
-            continue;
-          }
+  /**
+   * Parses the contents of the data file, whatever options wrote it: a sealed envelope
+   * is opened and compressed data, detected from its header, is decompressed. Plain
+   * JSON loads as it is, and is marked for resealing when encryption is enabled.
+   * @param {Buffer} content - The file contents.
+   * @returns {object} Entries by key.
+   */
+  async decodeData(content) {
+    if (detectFormat(content) === "none") {
+      const text = content.toString("utf8");
+      if (!text.trim()) {
+        return {};
+      }
+      const data = parseData(text);
+      if (!FileCipher.isSealed(data)) {
+        if (this.cipher && Object.keys(data).length > 0) {
+          this.cipher.needsReseal = true;
         }
-
-        // If all validations pass, add to validItems
-        validItems.push([key, value, ttl]);
-      } catch (error) {
-        // Catch validation errors for invalid keys or values
-        failedKeys.push(key);
+        return data;
       }
+      if (!this.cipher) {
+        throw new EncryptionError(
+          "Data file is encrypted, but no encryption key is configured",
+          "KEY_REQUIRED"
+        );
+      }
+      content = this.cipher.open(data);
     }
 
-    // Check if adding these items would exceed the file size limit
-    if (this.currentSize + totalNewSize > this.maxFileSize) {
-      throw new Error("Data file exceeds 1GB limit");
-    }
-
-    const locks = new Set();
+    let text;
     try {
-      // Acquire locks for each key in validItems
-      for (const [key] of validItems) {
-        await this.acquireLock(key);
-        locks.add(key);
-      }
-
-      // Add each valid item to the data store
-      for (const [key, value, ttl] of validItems) {
-        const expiry = ttl ? Date.now() + ttl * 1000 : null;
-        this.data.set(key, { value, expiry });
-      }
+      text = (await decompress(content)).toString("utf8");
+    } catch (error) {
+      throw new CorruptionError(
+        `Data file cannot be decompressed: ${error.message}`,
+        "CORRUPT_DATA"
+      );
+    }
+    return text.trim() ? parseData(text) : {};
+  }
 
-      // Schedule a save after adding all items
-      this.scheduleSave();
-    } finally {
-      // Release all locks
-      for (const key of locks) {
-        this.releaseLock(key);
-      }
+  /**
+   * Rewrites the data file, and the log in append-only mode, sealed with the current
+   * encryption key, so data sealed with an old key or stored in plaintext is replaced.
+   */
+  async reseal() {
+    this.cipher.needsReseal = false;
+    if (this.appendLog) {
+      await this.rewriteLog();
+      return;
+    }
+    // A save already running may have serialized the data with the old key
+    if (this.savePromise) {
+      await this.savePromise.catch(() => {});
     }
+    await this.queueSave();
+  }
 
-    // Return the list of failed keys for batch feedback
-    return failedKeys;
+  /**
+   * Switches to a new encryption key and reseals the data with it, in this store and
+   * its namespaces. Data sealed with the old key can still be read until it is resealed.
+   * @param {string|Buffer} key - The new 32-byte key, as a Buffer, hex or base64.
+   */
+  async rotateEncryptionKey(key) {
+    this.assertWritable();
+    if (!this.cipher) {
+      throw new EncryptionError("Encryption is not enabled", "ENCRYPTION_DISABLED");
+    }
+    this.cipher.rotate(key);
+    await this.reseal();
+    for (const namespace of this.namespaces.values()) {
+      await namespace.rotateEncryptionKey(key);
+    }
   }
 
   /**
-   * Reads a value by key, checking for existence and expiry.
+   * Creates a key-value pair in the store with optional TTL. Ensures constraints like file size, key uniqueness.
+   * @param {string} key - The key for the value.
+   * @param {any} value - The JSON-serializable value to store.
+   * @param {number} ttl - Optional time-to-live in seconds for expiry.
+   * @param {object} writer - Optional owner (client id) charged for the entry, and
+   *   quota in bytes for that owner (defaults to the clientQuota option). Every write
+   *   method takes it.
+   * @returns {number} The version of the new entry.
    */
-  async read(key) {
+  async create(key, value, ttl = null, writer = {}) {
+    this.assertWritable();
     this.validateKey(key);
+    this.validateValue(value);
 
     await this.acquireLock(key);
     try {
-      const item = this.data.get(key);
-      if (!item) {
-        throw new Error("Key not found");
+      const existing = this.data.get(key);
+      if (this.isLive(existing)) {
+        throw new ConflictError("Key already exists", "KEY_EXISTS");
       }
 
-      if (item.expiry && item.expiry <= Date.now()) {
-        this.data.delete(key);
-        this.scheduleSave();
-        throw new Error("Key not found (expired)");
+      return await this.putEntry(key, value, this.ttlFields(ttl), writer);
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Replaces the value of an existing key, keeping its expiry.
+   * @param {string} key - The key to update.
+   * @param {any} value - The new JSON-serializable value.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {number} The new version of the entry.
+   */
+  async update(key, value, writer = {}) {
+    this.assertWritable();
+    this.validateKey(key);
+    this.validateValue(value);
+
+    await this.acquireLock(key);
+    try {
+      const existing = this.data.get(key);
+      if (!this.isLive(existing)) {
+        throw new NotFoundError("Key not found");
+      }
+
+      return await this.putEntry(key, value, this.keepTtlFields(existing), writer);
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Creates the key or replaces its value. The TTL, if any, replaces the previous expiry.
+   * @param {string} key - The key to write.
+   * @param {any} value - The JSON-serializable value to store.
+   * @param {number} ttl - Optional time-to-live in seconds for expiry.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {number} The version of the written entry.
+   */
+  async upsert(key, value, ttl = null, writer = {}) {
+    this.assertWritable();
+    this.validateKey(key);
+    this.validateValue(value);
+
+    await this.acquireLock(key);
+    try {
+      return await this.putEntry(key, value, this.ttlFields(ttl), writer);
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Replaces the value only if the entry is still at the expected version.
+   * An expected version of 0 means the key must not exist.
+   * @param {string} key - The key to write.
+   * @param {number} expectedVersion - The version the caller last read.
+   * @param {any} value - The new JSON-serializable value.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {number} The new version of the entry.
+   */
+  async compareAndSet(key, expectedVersion, value, writer = {}) {
+    this.assertWritable();
+    this.validateKey(key);
+    this.validateValue(value);
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+      throw new ValidationError("Expected version must be a non-negative integer");
+    }
+
+    await this.acquireLock(key);
+    try {
+      const existing = this.data.get(key);
+      const currentVersion = this.isLive(existing) ? existing.version : 0;
+      if (currentVersion !== expectedVersion) {
+        throw new ConflictError(
+          `Version mismatch: expected ${expectedVersion}, found ${currentVersion}`,
+          "VERSION_MISMATCH"
+        );
+      }
+
+      const timing = currentVersion
+        ? this.keepTtlFields(existing)
+        : this.ttlFields(null);
+      return await this.putEntry(key, value, timing, writer);
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Atomically adds to a numeric value. A missing key starts at 0 and keeps the
+   * default TTL, if any; an existing key keeps its expiry.
+   * @param {string} key - The counter key.
+   * @param {number} by - Amount to add (default 1), may be negative or fractional.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {object} { value, version } after the increment.
+   */
+  async incr(key, by = 1, writer = {}) {
+    this.assertWritable();
+    this.validateKey(key);
+    if (typeof by !== "number" || !Number.isFinite(by)) {
+      throw new ValidationError("Increment must be a finite number");
+    }
+
+    await this.acquireLock(key);
+    try {
+      const existing = this.data.get(key);
+      const live = this.isLive(existing);
+      if (live && typeof existing.value !== "number") {
+        throw new ValidationError("Value is not a number", "NOT_A_NUMBER");
+      }
+
+      const value = (live ? existing.value : 0) + by;
+      if (!Number.isFinite(value)) {
+        throw new ValidationError("Increment would overflow", "OVERFLOW");
+      }
+      const timing = live ? this.keepTtlFields(existing) : this.ttlFields(null);
+      const version = await this.putEntry(key, value, timing, writer);
+      return { value, version };
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Atomically subtracts from a numeric value, like incr() with a negated amount.
+   */
+  async decr(key, by = 1, writer = {}) {
+    if (typeof by !== "number" || !Number.isFinite(by)) {
+      throw new ValidationError("Decrement must be a finite number");
+    }
+    return this.incr(key, -by, writer);
+  }
+
+  /**
+   * Applies JSON Patch (RFC 6902) operations to the value of an existing key, keeping
+   * its expiry. Either every operation applies or the value is left unchanged; a failed
+   * "test" operation throws with code PATCH_TEST_FAILED, other bad operations with
+   * PATCH_INVALID.
+   * @param {string} key - The key to patch.
+   * @param {object[]} ops - Operations like { op: "replace", path: "/email", value: "..." }.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {object} { value, version } after the patch.
+   */
+  async patch(key, ops, writer = {}) {
+    this.assertWritable();
+    this.validateKey(key);
+
+    await this.acquireLock(key);
+    try {
+      const existing = await this.getLiveEntry(key);
+      const value = applyPatch(existing.value, ops);
+      this.validateValue(value);
+
+      const version = await this.putEntry(
+        key,
+        value,
+        this.keepTtlFields(existing),
+        writer
+      );
+      return { value, version };
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Writes an entry for a key whose lock is held, bumping its version and persisting it.
+   * The previous entry is restored if the size limit is hit or the save fails.
+   * @param {object} timing - The entry's expiry and TTL, from ttlFields or keepTtlFields.
+   * @param {object} writer - Optional owner charged for the entry and its quota; without
+   *   an owner, a live entry keeps its own.
+   */
+  async putEntry(key, value, timing, writer = {}) {
+    const previous = this.data.get(key);
+    const previousSize = previous
+      ? this.estimateEntrySize(key, previous.value)
+      : 0;
+    const sizeDelta = this.estimateEntrySize(key, value) - previousSize;
+
+    const entry = {
+      value,
+      ...timing,
+      version: this.nextVersion(previous),
+    };
+    const event = this.isLive(previous) ? "updated" : "created";
+    const owner = writer.owner || (this.isLive(previous) ? previous.owner : undefined);
+    if (owner) {
+      entry.owner = owner;
+    }
+    this.checkQuota([[key, entry]], writer);
+    await this.ensureCapacity(sizeDelta);
+
+    this.setEntry(key, entry);
+    this.currentSize += sizeDelta;
+
+    try {
+      await this.persistChanges([{ op: "set", key, ...entry, event }]);
+    } catch (error) {
+      if (previous) {
+        this.setEntry(key, previous);
+      } else {
+        this.unsetEntry(key);
+      }
+      this.currentSize -= sizeDelta;
+      throw error;
+    }
+    return entry.version;
+  }
+
+  /**
+   * Builds the expiry fields of an entry from a TTL in seconds, falling back to the
+   * default TTL. The TTL itself is kept alongside the expiry so reads can slide the
+   * expiry forward.
+   */
+  ttlFields(ttl) {
+    ttl = ttl || this.defaultTtl;
+    return ttl ? { expiry: Date.now() + ttl * 1000, ttl } : { expiry: null };
+  }
+
+  /**
+   * Copies the expiry fields of an existing entry, for writes that keep its TTL.
+   */
+  keepTtlFields(item) {
+    return item.ttl
+      ? { expiry: item.expiry, ttl: item.ttl }
+      : { expiry: item.expiry };
+  }
+
+  /**
+   * Stores an entry in memory, registers its expiry, if any, in the expiry index,
+   * moves its size between owners' usage, reindexes its key and value and counts the
+   * write as an access.
+   */
+  setEntry(key, entry) {
+    const previous = this.data.get(key);
+    if (!previous) {
+      this.keyIndex.add(key);
+    }
+    this.trackUsage(key, previous, -1);
+    for (const index of this.indexes.values()) {
+      if (previous) {
+        index.remove(key, previous.value);
+      }
+      index.add(key, entry.value);
+    }
+    this.data.set(key, entry);
+    this.trackUsage(key, entry, 1);
+    if (entry.expiry) {
+      this.expiryIndex.add(key, entry.expiry);
+    }
+    this.touchEntry(key);
+  }
+
+  /**
+   * Returns the version of the next write to a key: one above its entry, or above
+   * versionFloor for a key that is not stored, so versions keep increasing across
+   * deletes.
+   */
+  nextVersion(previous) {
+    return (previous ? previous.version : this.versionFloor) + 1;
+  }
+
+  /**
+   * Removes an entry from memory, from its owner's usage, from the key and secondary
+   * indexes and from the eviction order.
+   */
+  unsetEntry(key) {
+    const item = this.data.get(key);
+    this.trackUsage(key, item, -1);
+    if (item) {
+      this.keyIndex.delete(key);
+      for (const index of this.indexes.values()) {
+        index.remove(key, item.value);
+      }
+      this.versionFloor = Math.max(this.versionFloor, item.version);
+    }
+    this.data.delete(key);
+    if (this.evictionIndex) {
+      this.evictionIndex.remove(key);
+    }
+  }
+
+  /**
+   * Records an access to a key for the LRU and LFU eviction policies.
+   */
+  touchEntry(key) {
+    if (this.evictionIndex) {
+      this.evictionIndex.touch(key);
+    }
+  }
+
+  /**
+   * Makes room for a write that grows the data by sizeDelta bytes. Unless the policy is
+   * noeviction, entries are evicted until the write fits; the write fails if it still
+   * does not.
+   */
+  async ensureCapacity(sizeDelta) {
+    const limit = this.logicalLimit();
+    const excess = this.currentSize + sizeDelta - limit;
+    if (excess > 0 && this.evictionPolicy !== "noeviction") {
+      await this.evict(excess);
+    }
+    if (this.currentSize + sizeDelta > limit) {
+      throw new CapacityError(
+        `Data file would exceed ${this.maxFileSize} bytes limit`,
+        "STORE_FULL"
+      );
+    }
+  }
+
+  /**
+   * Returns the limit on the logical (JSON) size of the data. When maxFileSize applies
+   * to the size on disk, it is scaled by the compression ratio seen at the last save.
+   */
+  logicalLimit() {
+    return this.sizeLimit === "disk"
+      ? Math.floor(this.maxFileSize / this.diskRatio)
+      : this.maxFileSize;
+  }
+
+  /**
+   * Evicts entries in the policy's order until at least the given number of bytes is
+   * freed. The volatile policies only evict keys with a TTL, and locked keys, including
+   * those of the write being made, are never evicted. The evictions are persisted and
+   * published as "evicted" events.
+   * @returns {number} The number of keys evicted.
+   */
+  async evict(bytes) {
+    const volatileOnly = this.evictionPolicy.startsWith("volatile");
+    const records = [];
+    let freed = 0;
+
+    for (const key of this.evictionCandidates()) {
+      if (freed >= bytes) {
+        break;
+      }
+      const item = this.data.get(key);
+      if (!item || this.lock.get(key) || (volatileOnly && !item.expiry)) {
+        continue;
+      }
+      freed += this.estimateEntrySize(key, item.value);
+      this.removeEntry(key);
+      records.push({ op: "del", key, event: "evicted", previous: item.value });
+    }
+
+    if (records.length > 0) {
+      this.evictedKeys += records.length;
+      await this.persistChanges(records, { deferred: true });
+    }
+    return records.length;
+  }
+
+  /**
+   * Yields keys in the order the eviction policy gives them up. For volatile-ttl that is
+   * expiry order, taken from the expiry index; entries it yields that are not evicted
+   * are put back once the caller is done.
+   */
+  *evictionCandidates() {
+    if (this.evictionIndex) {
+      yield* this.evictionIndex.keys();
+      return;
+    }
+
+    const popped = [];
+    try {
+      while (this.expiryIndex.size > 0) {
+        const next = this.expiryIndex.pop();
+        popped.push(next);
+        yield next.key;
+      }
+    } finally {
+      for (const { key, expiry } of popped) {
+        const item = this.data.get(key);
+        if (item && item.expiry === expiry) {
+          this.expiryIndex.add(key, expiry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes an entry from memory and releases its share of the size limit.
+   */
+  removeEntry(key) {
+    const item = this.data.get(key);
+    if (item) {
+      this.unsetEntry(key);
+      this.currentSize -= this.estimateEntrySize(key, item.value);
+    }
+  }
+
+  /**
+   * Adds (sign 1) or removes (sign -1) an entry's size from its owner's usage.
+   */
+  trackUsage(key, item, sign) {
+    if (!item || !item.owner) {
+      return;
+    }
+    const usage =
+      (this.ownerUsage.get(item.owner) || 0) +
+      sign * this.estimateEntrySize(key, item.value);
+    if (usage > 0) {
+      this.ownerUsage.set(item.owner, usage);
+    } else {
+      this.ownerUsage.delete(item.owner);
+    }
+  }
+
+  /**
+   * Checks that staged changes keep every owner they charge within its storage quota:
+   * the writer's quota for the writer, the clientQuota option for the owner of an
+   * entry written without taking it over. Entries an owner already has under the
+   * changed keys count as replaced, and changes that do not grow an owner's usage
+   * always pass.
+   * @param {Array} changes - [key, entry] pairs, with a null entry for a delete.
+   * @param {object} writer - Optional owner and quota of the client making the changes.
+   */
+  checkQuota(changes, writer = {}) {
+    const owners = new Set(changes.map(([, entry]) => entry && entry.owner));
+    for (const owner of owners) {
+      const quota = (owner === writer.owner && writer.quota) || this.clientQuota;
+      if (!owner || !quota) {
+        continue;
+      }
+
+      const current = this.ownerUsage.get(owner) || 0;
+      let usage = current;
+      for (const [key, entry] of changes) {
+        const existing = this.data.get(key);
+        if (existing && existing.owner === owner) {
+          usage -= this.estimateEntrySize(key, existing.value);
+        }
+        if (entry && entry.owner === owner) {
+          usage += this.estimateEntrySize(key, entry.value);
+        }
+      }
+
+      if (usage > quota && usage > current) {
+        throw new CapacityError(
+          `Storage quota of ${quota} bytes exceeded for client ${owner}`,
+          "QUOTA_EXCEEDED"
+        );
+      }
+    }
+  }
+
+  /**
+   * Checks that an entry exists and has not expired.
+   */
+  isLive(item) {
+    return Boolean(item) && (!item.expiry || item.expiry > Date.now());
+  }
+
+  /**
+   * Applies a mutation record from the append-only log to the in-memory data.
+   * @param {object} record - A "set", "del" or "expire" record.
+   */
+  applyRecord(record) {
+    if (record.op === "set") {
+      const { op, key, ...entry } = record;
+      this.setEntry(key, { ...entry, version: entry.version || 1 });
+    } else {
+      this.unsetEntry(record.key);
+    }
+  }
+
+  /**
+   * Persists mutation records, then publishes them as change events. In append-only
+   * mode they are appended to the log; otherwise the whole data set is saved, either
+   * now or debounced when deferred.
+   * @param {object[]} records - Mutation records describing the change. A record may
+   *   carry an event field to override the change event derived from its op, and a
+   *   removal the previous value of its key; neither is persisted.
+   * @param {object} options - Set deferred to debounce snapshot saves.
+   */
+  async persistChanges(records, { deferred = false } = {}) {
+    if (this.readOnly) {
+      // A follower only drops expired entries from memory; the primary persists that
+      this.publishChanges(records);
+      return;
+    }
+    if (this.appendLog) {
+      await this.appendLog.append(records.map(({ event, previous, ...record }) => record));
+      this.maybeRewriteLog();
+    } else if (deferred) {
+      this.scheduleSave();
+    } else {
+      await this.queueSave();
+    }
+    this.publishChanges(records);
+  }
+
+  /**
+   * Emits a change event for each mutation record, both as its own type ("created",
+   * "updated", "deleted" or "expired") and as "change", and keeps it for resuming watchers.
+   * Removals carry the value the key had before.
+   */
+  publishChanges(records) {
+    const timestamp = Date.now();
+    for (const { event, previous, op, key, ...entry } of records) {
+      const change = {
+        seq: ++this.sequence,
+        type: event || CHANGE_EVENTS[op],
+        key,
+        timestamp,
+      };
+      if (op === "set") {
+        change.value = entry.value;
+        change.expiry = entry.expiry;
+        change.version = entry.version;
+        if (entry.ttl) {
+          change.ttl = entry.ttl;
+        }
+      } else if (previous !== undefined) {
+        change.value = previous;
+      }
+
+      if (change.type === "expired") {
+        this.expiredKeys++;
+      }
+      this.changeHistory.push(change);
+      if (this.changeHistory.length > this.changeHistorySize) {
+        this.changeHistory.shift();
+      }
+      this.emit(change.type, change);
+      this.emit("change", change);
+    }
+  }
+
+  /**
+   * Returns the kept change events after a sequence number, optionally filtered by key
+   * prefix. Returns null if events after that sequence number are no longer kept, so
+   * the caller knows it has to resync, as it does for a seq that is not a non-negative
+   * integer.
+   */
+  changesSince(seq, prefix = "") {
+    if (!Number.isInteger(seq) || seq < 0) {
+      return null;
+    }
+    const oldest = this.changeHistory.length
+      ? this.changeHistory[0].seq
+      : this.sequence + 1;
+    if (seq > this.sequence || seq < oldest - 1) {
+      return null;
+    }
+    return this.changeHistory.filter(
+      (change) => change.seq > seq && change.key.startsWith(prefix)
+    );
+  }
+
+  /**
+   * Captures the live entries for a follower that has to start over, with the sequence
+   * number they are current as of. Owners are left out.
+   * @returns {object} { replicationId, seq, entries } where each entry is
+   *   { key, value, expiry, ttl, version }.
+   */
+  replicationSnapshot() {
+    const entries = [];
+    for (const [key, item] of this.data.entries()) {
+      if (this.isLive(item)) {
+        const { owner, ...entry } = item;
+        entries.push({ key, ...entry });
+      }
+    }
+    return { replicationId: this.replicationId, seq: this.sequence, entries };
+  }
+
+  /**
+   * Applies change events streamed from a primary to this replica, as they were made
+   * there, versions included. Size limits are the primary's to enforce. The changes
+   * are persisted and published like local ones.
+   * @param {object[]} changes - Change events of the primary ("created", "updated",
+   *   "deleted", "expired" or "evicted").
+   */
+  async applyReplicated(changes) {
+    const records = [];
+    for (const { type, key, value, expiry, ttl, version } of changes) {
+      const previous = this.data.get(key);
+      if (type === "created" || type === "updated") {
+        const entry = { value, expiry: expiry || null, version };
+        if (ttl) {
+          entry.ttl = ttl;
+        }
+        const event = this.isLive(previous) ? "updated" : "created";
+        this.currentSize +=
+          this.estimateEntrySize(key, value) -
+          (previous ? this.estimateEntrySize(key, previous.value) : 0);
+        this.setEntry(key, entry);
+        records.push({ op: "set", key, ...entry, event });
+      } else if (previous) {
+        this.removeEntry(key);
+        records.push({
+          op: type === "expired" ? "expire" : "del",
+          key,
+          event: type,
+          previous: previous.value,
+        });
+      }
+    }
+
+    if (records.length > 0) {
+      await this.persistChanges(records, { deferred: true });
+    }
+  }
+
+  /**
+   * Replaces the contents of this replica with a snapshot of the primary, deleting the
+   * keys the primary no longer has.
+   * @param {object[]} entries - Entries from replicationSnapshot() of the primary.
+   */
+  async resetReplica(entries) {
+    const keys = new Set(entries.map((entry) => entry.key));
+    const changes = [];
+    for (const key of this.data.keys()) {
+      if (!keys.has(key)) {
+        changes.push({ type: "deleted", key });
+      }
+    }
+    for (const entry of entries) {
+      changes.push({ type: "updated", ...entry });
+    }
+    await this.applyReplicated(changes);
+  }
+
+  /**
+   * Starts a background log rewrite once the log has outgrown the configured thresholds.
+   */
+  maybeRewriteLog() {
+    const threshold = Math.max(
+      this.logRewriteMinSize,
+      (this.currentSize * this.logRewritePercentage) / 100
+    );
+    if (!this.rewritePromise && this.appendLog.size > threshold) {
+      this.rewriteLog().catch(console.error);
+    }
+  }
+
+  /**
+   * Folds the append-only log into a compact snapshot and empties the log.
+   */
+  async rewriteLog() {
+    this.assertWritable();
+    if (!this.appendLog) {
+      throw new ValidationError("Append-only mode is not enabled");
+    }
+    if (!this.rewritePromise) {
+      this.rewritePromise = this.appendLog
+        .rewrite(() => this.saveData())
+        .finally(() => {
+          this.rewritePromise = null;
+        });
+    }
+    return this.rewritePromise;
+  }
+
+  /**
+   * Adds the save operation to a queue to ensure sequential saving and prevent conflicts.
+   * While a save runs, callers wait for the next one, as the running save may have read
+   * the data before their change.
+   */
+  async queueSave() {
+    let save;
+    if (this.savePromise) {
+      save = new Promise((resolve, reject) => this.saveQueue.push({ resolve, reject }));
+    } else {
+      this.savePromise = this.executeSave();
+      save = this.savePromise;
+    }
+
+    try {
+      await save;
+    } catch (error) {
+      // Keep the type and code of store errors, like STORE_FULL
+      const message = `Failed to save data: ${error.message}`;
+      throw error instanceof KVStoreError
+        ? new error.constructor(message, error.code)
+        : new StorageError(message, "SAVE_FAILED");
+    }
+  }
+
+  /**
+   * Executes the save operation, then one more save for every request queued meanwhile.
+   */
+  async executeSave() {
+    try {
+      await this.saveData();
+    } finally {
+      this.savePromise = null;
+      if (this.saveQueue.length > 0) {
+        const waiting = this.saveQueue.splice(0);
+        this.savePromise = this.executeSave();
+        this.savePromise.then(
+          () => waiting.forEach(({ resolve }) => resolve()),
+          (error) => waiting.forEach(({ reject }) => reject(error))
+        );
+      }
+    }
+  }
+
+  /**
+   * Saves the data from memory to the file, counting saves, failures and their duration.
+   */
+  async saveData() {
+    const started = Date.now();
+    try {
+      await this.writeData();
+      this.saves++;
+    } catch (error) {
+      this.saveFailures++;
+      throw error;
+    } finally {
+      this.saveMs += Date.now() - started;
+    }
+  }
+
+  /**
+   * Writes the data from memory to the file, ensuring data integrity and respecting the file size limit.
+   */
+  async writeData() {
+    const fileData = {};
+    let totalSize = 0;
+    if (this.versionFloor > 0) {
+      fileData[VERSION_FLOOR_KEY] = this.versionFloor;
+    }
+
+    for (const [key, value] of this.data.entries()) {
+      fileData[key] = value;
+      totalSize += this.estimateEntrySize(key, value.value);
+    }
+
+    if (this.sizeLimit === "logical" && totalSize > this.maxFileSize) {
+      throw new CapacityError(
+        `Data file would exceed ${this.maxFileSize} bytes limit`,
+        "STORE_FULL"
+      );
+    }
+
+    const content = addChecksum(await this.encodeData(fileData));
+    if (this.sizeLimit === "disk" && content.length > this.maxFileSize) {
+      throw new CapacityError(
+        `Data file would exceed ${this.maxFileSize} bytes limit`,
+        "STORE_FULL"
+      );
+    }
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      // Sync the temp file before the rename so a crash cannot leave a half-written file
+      const handle = await fsp.open(tempPath, "w");
+      try {
+        await handle.writeFile(content);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await this.backupDataFile();
+
+      try {
+        await fsp.rename(tempPath, this.filePath);
+      } catch (renameError) {
+        try {
+          await fsp.unlink(tempPath);
+        } catch (unlinkError) {
+          // Ignore unlink errors
+        }
+        throw renameError;
+      }
+
+      this.currentSize = totalSize;
+      this.diskRatio = totalSize > 0 ? content.length / totalSize : 1;
+      this.isDirty = false;
+    } catch (error) {
+      if (error.code === "EACCES") {
+        throw new StorageError(
+          `Permission denied: Cannot write to ${this.filePath}`,
+          "PERMISSION_DENIED"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Keeps the current data file as the backup that recovery falls back to, as a hard
+   * link where the file system allows it.
+   */
+  async backupDataFile() {
+    const backupPath = `${this.filePath}.bak`;
+    await fsp.rm(backupPath, { force: true });
+    try {
+      await fsp.link(this.filePath, backupPath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      await fsp.copyFile(this.filePath, backupPath);
+    }
+  }
+
+  /**
+   * Attempts to acquire a lock for the given key to handle concurrent operations safely,
+   * waiting at most lockTimeout ms for another operation to release it. Store-wide
+   * operations lock a name in internalLocks instead, so no user key can block them.
+   */
+  async acquireLock(key, locks = this.lock) {
+    const maxAttempts = Math.ceil(this.lockTimeout / 10);
+    let attempts = 0;
+    const started = Date.now();
+
+    try {
+      while (locks.get(key)) {
+        if (attempts >= maxAttempts) {
+          throw new LockError(`Failed to acquire lock for key: ${key}`, "LOCK_TIMEOUT");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        attempts++;
+      }
+    } finally {
+      if (attempts > 0) {
+        this.lockWaits++;
+        this.lockWaitMs += Date.now() - started;
+      }
+    }
+    locks.set(key, true);
+  }
+
+  /**
+   * Releases the lock for a given key after an operation completes.
+   */
+  releaseLock(key, locks = this.lock) {
+    locks.delete(key);
+  }
+
+  /**
+   * Acquires the locks for several keys in sorted order, so that concurrent
+   * multi-key operations cannot deadlock. Returns the set of locked keys.
+   */
+  async acquireLocks(keys) {
+    const locks = new Set();
+    try {
+      for (const key of [...new Set(keys)].sort()) {
+        await this.acquireLock(key);
+        locks.add(key);
+      }
+    } catch (error) {
+      this.releaseLocks(locks);
+      throw error;
+    }
+    return locks;
+  }
+
+  /**
+   * Releases the locks taken by acquireLocks.
+   */
+  releaseLocks(locks) {
+    for (const key of locks) {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Estimates the memory size of an entry to enforce the file size limit.
+   */
+  estimateEntrySize(key, value) {
+    return Buffer.from(
+      JSON.stringify({
+        [key]: {
+          value,
+          expiry: null,
+        },
+      })
+    ).length;
+  }
+
+  /**
+   * Cleans up the store by saving data, closing the append-only log and releasing any locks.
+   * Ongoing saves and log rewrites, and a pending debounced save, are written out before
+   * the file lock is released.
+   */
+  async cleanup() {
+    try {
+      clearTimeout(this.saveTimeout);
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+      if (this.reloadPromise) {
+        await this.reloadPromise.catch(() => {});
+      }
+
+      // Failures of these were already reported to their callers; a save may queue
+      // another behind it, so wait until none is left
+      while (this.savePromise || this.rewritePromise) {
+        await Promise.all(
+          [this.savePromise, this.rewritePromise]
+            .filter(Boolean)
+            .map((pending) => pending.catch(() => {}))
+        );
+      }
+      if (this.isDirty) {
+        await this.queueSave();
+      }
+      if (this.appendLog) {
+        await this.appendLog.close();
+      }
+      for (const namespace of this.namespaces.values()) {
+        await namespace.cleanup();
+      }
+    } catch (error) {
+      console.error("Error during cleanup:", error);
+    } finally {
+      if (this.lockInstance) {
+        try {
+          await this.lockInstance();
+        } catch (unlockError) {
+          console.error("Error releasing lock:", unlockError);
+        }
+        this.lockInstance = null;
+      }
+    }
+  }
+
+  /**
+   * Writes out anything still pending: a debounced snapshot save, or appended log
+   * records not yet fsynced.
+   */
+  async flush() {
+    clearTimeout(this.saveTimeout);
+    if (this.isDirty) {
+      await this.queueSave();
+    }
+    if (this.appendLog) {
+      await this.appendLog.sync();
+    }
+  }
+
+  /**
+   * Schedules a save operation with debouncing to avoid frequent disk writes.
+   */
+  scheduleSave() {
+    this.isDirty = true;
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => {
+      this.queueSave().catch(console.error);
+    }, 1000); // Debounce for 1 second
+  }
+
+  /**
+   * Validates the key to ensure it is a string and does not exceed the maximum length.
+   */
+  validateKey(key) {
+    if (typeof key !== "string") {
+      throw new ValidationError("Key must be a string");
+    }
+    if (RESERVED_KEYS.includes(key) || key.startsWith("\u0000")) {
+      throw new ValidationError(`Key is reserved: ${key}`, "KEY_RESERVED");
+    }
+    if (key.length > this.maxKeyLength) {
+      throw new LimitError(
+        `Key cannot exceed ${this.maxKeyLength} characters`,
+        "KEY_TOO_LONG"
+      );
+    }
+  }
+
+  /**
+   * Validates the value to ensure it is within the allowed size.
+   */
+  validateValue(value) {
+    if (value === undefined) {
+      throw new ValidationError("Value is required");
+    }
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch (error) {
+      throw new ValidationError(`Value cannot be stored as JSON: ${error.message}`);
+    }
+    if (json === undefined) {
+      throw new ValidationError("Value cannot be stored as JSON");
+    }
+    const valueSize = Buffer.byteLength(json);
+    if (valueSize > this.maxValueSize) {
+      throw new LimitError(
+        `Value size cannot exceed ${formatBytes(this.maxValueSize)}`,
+        "VALUE_TOO_LARGE"
+      );
+    }
+  }
+
+  /**
+   * Creates multiple key-value pairs in batch. Enforces batch size, file size, and key constraints.
+   * Takes the same owner and quota options as create(); the quota applies to the whole batch.
+   */
+  async batchCreate(items, { owner, quota } = {}) {
+    this.assertWritable();
+    // Ensure items is an array and does not exceed batch size
+    if (!Array.isArray(items)) {
+      throw new ValidationError("Items must be an array");
+    }
+    if (items.length > this.maxBatchSize) {
+      throw new LimitError(
+        `Batch size cannot exceed ${this.maxBatchSize} items`,
+        "BATCH_TOO_LARGE"
+      );
+    }
+    const malformed = items.findIndex((item) => !Array.isArray(item));
+    if (malformed !== -1) {
+      throw new ValidationError(`Item ${malformed} must be a [key, value, ttl] array`);
+    }
+
+    const failedKeys = [];
+    const validItems = [];
+    let totalNewSize = 0;
+
+    // Validate each item and calculate the total size increase
+    for (const [key, value, ttl] of items) {
+      try {
+        // Validate key and value constraints
+        this.validateKey(key);
+        this.validateValue(value);
+
+        // Estimate the size of this entry
+        const entrySize = this.estimateEntrySize(key, value);
+        totalNewSize += entrySize;
+
+        // Check if the key already exists and is not expired
+        if (this.data.has(key)) {
+          const existing = this.data.get(key);
+          if (!existing.expiry || existing.expiry > Date.now()) {
+            failedKeys.push(key); // Key already exists and is valid, so it fails
+            continue;
+          }
+        }
+
+        // If all validations pass, add to validItems
+        validItems.push([key, value, ttl]);
+      } catch (error) {
+        // Catch validation errors for invalid keys or values
+        failedKeys.push(key);
+      }
+    }
+
+    this.checkQuota(
+      validItems.map(([key, value]) => [key, { value, owner }]),
+      { owner, quota }
+    );
+    // Check if adding these items would exceed the file size limit, evicting to make room
+    await this.ensureCapacity(totalNewSize);
+
+    const locks = new Set();
+    try {
+      // Acquire locks for each key in validItems
+      for (const [key] of validItems) {
+        await this.acquireLock(key);
+        locks.add(key);
+      }
+
+      // Add each valid item to the data store
+      const records = [];
+      for (const [key, value, ttl] of validItems) {
+        const previous = this.data.get(key);
+        const entry = {
+          value,
+          ...this.ttlFields(ttl),
+          version: this.nextVersion(previous),
+        };
+        if (owner) {
+          entry.owner = owner;
+        }
+        this.removeEntry(key);
+        this.setEntry(key, entry);
+        this.currentSize += this.estimateEntrySize(key, value);
+        records.push({ op: "set", key, ...entry, event: "created" });
+      }
+
+      // Persist all items together, debounced in snapshot mode
+      await this.persistChanges(records, { deferred: true });
+    } finally {
+      // Release all locks
+      for (const key of locks) {
+        this.releaseLock(key);
+      }
+    }
+
+    // Return the list of failed keys for batch feedback
+    return failedKeys;
+  }
+
+  /**
+   * Applies a mix of create, update, upsert and delete operations atomically: either all
+   * of them are applied and persisted in one save, or none are. Each op may carry a
+   * precondition: ifExists (true/false) or ifVersion (0 meaning the key must not exist).
+   * @param {object[]} ops - Operations like { op: "update", key, value, ifVersion: 2 }.
+   * @param {object} writer - Optional owner and quota, see create().
+   * @returns {object[]} The key and resulting version of each op (null for deletes).
+   */
+  async transaction(ops, writer = {}) {
+    this.assertWritable();
+    if (!Array.isArray(ops) || ops.length === 0) {
+      throw new ValidationError("Operations must be a non-empty array");
+    }
+    if (ops.length > this.maxBatchSize) {
+      throw new LimitError(
+        `Transaction cannot exceed ${this.maxBatchSize} operations`,
+        "BATCH_TOO_LARGE"
+      );
+    }
+
+    ops.forEach((operation, index) => {
+      this.checkTransactionOp("TX_INVALID", index, operation, () => {
+        if (!operation || !TRANSACTION_OPS.includes(operation.op)) {
+          throw new ValidationError(`Unknown operation: ${operation && operation.op}`);
+        }
+        this.validateKey(operation.key);
+        if (operation.op !== "delete") {
+          this.validateValue(operation.value);
+        }
+        if (
+          operation.ifVersion !== undefined &&
+          (!Number.isInteger(operation.ifVersion) || operation.ifVersion < 0)
+        ) {
+          throw new ValidationError("ifVersion must be a non-negative integer");
+        }
+      });
+    });
+
+    const locks = await this.acquireLocks(ops.map((operation) => operation.key));
+    try {
+      // Stage every op against a view of the data that includes earlier ops
+      const staged = new Map();
+      const current = (key) =>
+        staged.has(key) ? staged.get(key) : this.data.get(key);
+      const results = [];
+      let sizeDelta = 0;
+      let versionFloor = this.versionFloor; // Raised by the deletes staged so far
+
+      ops.forEach((operation, index) => {
+        this.checkTransactionOp("TX_ABORTED", index, operation, () => {
+          const { op, key, value, ttl } = operation;
+          const existing = current(key);
+          const live = this.isLive(existing);
+
+          if (operation.ifExists !== undefined && operation.ifExists !== live) {
+            throw operation.ifExists
+              ? new NotFoundError("Key not found")
+              : new ConflictError("Key already exists", "KEY_EXISTS");
+          }
+          const currentVersion = live ? existing.version : 0;
+          if (
+            operation.ifVersion !== undefined &&
+            operation.ifVersion !== currentVersion
+          ) {
+            throw new ConflictError(
+              `Version mismatch: expected ${operation.ifVersion}, found ${currentVersion}`,
+              "VERSION_MISMATCH"
+            );
+          }
+          if (op === "create" && live) {
+            throw new ConflictError("Key already exists", "KEY_EXISTS");
+          }
+          if ((op === "update" || op === "delete") && !live) {
+            throw new NotFoundError("Key not found");
+          }
+
+          const previousSize = existing
+            ? this.estimateEntrySize(key, existing.value)
+            : 0;
+          if (op === "delete") {
+            versionFloor = Math.max(versionFloor, existing.version);
+            staged.set(key, null);
+            sizeDelta -= previousSize;
+            results.push({ key, version: null });
+            return;
+          }
+
+          const timing =
+            op === "update"
+              ? this.keepTtlFields(existing)
+              : this.ttlFields(ttl);
+          const entry = {
+            value,
+            ...timing,
+            version: (existing ? existing.version : versionFloor) + 1,
+          };
+          const owner = writer.owner || (live ? existing.owner : undefined);
+          if (owner) {
+            entry.owner = owner;
+          }
+          staged.set(key, entry);
+          sizeDelta += this.estimateEntrySize(key, value) - previousSize;
+          results.push({ key, version: entry.version });
+        });
+      });
+
+      this.checkQuota([...staged], writer);
+      await this.ensureCapacity(sizeDelta);
+
+      const previous = new Map();
+      const records = [];
+      this.currentSize += sizeDelta;
+      try {
+        for (const [key, entry] of staged) {
+          const existing = this.data.get(key);
+          previous.set(key, existing);
+          if (entry) {
+            const event = this.isLive(existing) ? "updated" : "created";
+            this.setEntry(key, entry);
+            records.push({ op: "set", key, ...entry, event });
+          } else if (existing) {
+            // A key created and deleted within the transaction leaves no record
+            this.unsetEntry(key);
+            records.push({ op: "del", key, previous: existing.value });
+          }
+        }
+        if (records.length > 0) {
+          await this.persistChanges(records);
+        }
+      } catch (error) {
+        for (const [key, entry] of previous) {
+          if (entry) {
+            this.setEntry(key, entry);
+          } else {
+            this.unsetEntry(key);
+          }
+        }
+        this.currentSize -= sizeDelta;
+        throw error;
+      }
+
+      return results;
+    } finally {
+      this.releaseLocks(locks);
+    }
+  }
+
+  /**
+   * Runs a check for one transaction op, tagging any error with the op that failed.
+   * TX_INVALID marks malformed ops, TX_ABORTED failed preconditions or conflicts; the
+   * failed op keeps the code of the underlying error.
+   */
+  checkTransactionOp(code, index, operation, check) {
+    try {
+      check();
+    } catch (error) {
+      const message = `Operation ${index} failed: ${error.message}`;
+      const txError =
+        code === "TX_ABORTED"
+          ? new ConflictError(message, code)
+          : new ValidationError(message, code);
+      txError.failedOp = {
+        index,
+        op: operation && operation.op,
+        key: operation && operation.key,
+        reason: error.message,
+        code: error.code,
+      };
+      throw txError;
+    }
+  }
+
+  /**
+   * Reads several keys at once. Each result has a status of "found" (with value and
+   * version), "missing", "expired" or "invalid" (with the validation error).
+   * @param {string[]} keys - Keys to read, at most maxBatchSize.
+   */
+  async batchRead(keys) {
+    return this.batchKeys(keys, (key, item) => {
+      if (!item) {
+        return { key, status: "missing" };
+      }
+      this.touchEntry(key);
+      return { key, status: "found", value: item.value, version: item.version };
+    });
+  }
+
+  /**
+   * Deletes several keys at once and persists the removals together. Each result has
+   * a status of "deleted", "missing", "expired" or "invalid" (with the validation error).
+   * @param {string[]} keys - Keys to delete, at most maxBatchSize.
+   */
+  async batchDelete(keys) {
+    this.assertWritable();
+    return this.batchKeys(keys, (key, item, records) => {
+      if (!item) {
+        return { key, status: "missing" };
+      }
+      this.removeEntry(key);
+      records.push({ op: "del", key, previous: item.value });
+      return { key, status: "deleted" };
+    });
+  }
+
+  /**
+   * Runs a per-key handler over a batch of keys while holding all their locks.
+   * Expired entries are removed and reported before the handler sees them, and
+   * the records collected by the handler are persisted in one deferred save.
+   */
+  async batchKeys(keys, handler) {
+    if (!Array.isArray(keys)) {
+      throw new ValidationError("Keys must be an array");
+    }
+    if (keys.length > this.maxBatchSize) {
+      throw new LimitError(
+        `Batch size cannot exceed ${this.maxBatchSize} items`,
+        "BATCH_TOO_LARGE"
+      );
+    }
+
+    const validKeys = keys.filter((key) => {
+      try {
+        this.validateKey(key);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    const locks = await this.acquireLocks(validKeys);
+    try {
+      const records = [];
+      const results = keys.map((key) => {
+        try {
+          this.validateKey(key);
+        } catch (error) {
+          return { key, status: "invalid", error: error.message };
+        }
+
+        const item = this.data.get(key);
+        if (item && !this.isLive(item)) {
+          this.removeEntry(key);
+          records.push({ op: "expire", key, previous: item.value });
+          return { key, status: "expired" };
+        }
+        return handler(key, item, records);
+      });
+
+      if (records.length > 0) {
+        await this.persistChanges(records, { deferred: true });
+      }
+      return results;
+    } finally {
+      this.releaseLocks(locks);
+    }
+  }
+
+  /**
+   * Reads a value by key, checking for existence and expiry.
+   * @param {string} key - The key to read.
+   * @param {object} options - Set touch to slide the key's expiry forward by its TTL
+   *   (defaults to the store's touchOnRead option); ignored on a read-only store.
+   */
+  async read(key, options = {}) {
+    const entry = await this.readEntry(key, options);
+    return entry.value;
+  }
+
+  /**
+   * Reads the full entry for a key: its value, expiry and version.
+   */
+  async readEntry(key, { touch = this.touchOnRead } = {}) {
+    this.validateKey(key);
+
+    await this.acquireLock(key);
+    try {
+      let item;
+      try {
+        item = await this.getLiveEntry(key);
+      } catch (error) {
+        this.readMisses++;
+        throw error;
+      }
+      this.readHits++;
+      this.touchEntry(key);
+
+      // A read-only store leaves expiries alone; a replica gets them from its primary
+      if (touch && item.ttl && !this.readOnly && !this.replicaOf) {
+        item = { ...item, ...this.ttlFields(item.ttl) };
+        this.setEntry(key, item);
+        await this.persistChanges([{ op: "set", key, ...item }], {
+          deferred: true,
+        });
+      }
+
+      return { ...item };
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Returns the live entry for a key whose lock is held. An expired entry is removed
+   * and reported as not found.
+   */
+  async getLiveEntry(key) {
+    const item = this.data.get(key);
+    if (!item) {
+      throw new NotFoundError("Key not found");
+    }
+
+    if (item.expiry && item.expiry <= Date.now()) {
+      this.removeEntry(key);
+      await this.persistChanges([{ op: "expire", key, previous: item.value }], {
+        deferred: true,
+      });
+      throw new NotFoundError("Key not found (expired)", "KEY_EXPIRED");
+    }
+
+    return item;
+  }
+
+  /**
+   * Returns the remaining time to live of a key in seconds, or null if it never expires.
+   */
+  async ttl(key) {
+    this.validateKey(key);
+
+    await this.acquireLock(key);
+    try {
+      const item = await this.getLiveEntry(key);
+      if (!item.expiry) {
+        return null;
+      }
+      return Math.ceil((item.expiry - Date.now()) / 1000);
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Sets or extends the expiry of a key to a number of seconds from now. The TTL is
+   * remembered, so reads with touch slide the expiry forward by the same amount.
+   * @returns {number} The new expiry timestamp.
+   */
+  async expire(key, seconds) {
+    if (typeof seconds !== "number" || !(seconds > 0)) {
+      throw new ValidationError("TTL must be a positive number of seconds");
+    }
+    return this.setExpiry(key, this.ttlFields(seconds));
+  }
+
+  /**
+   * Sets the expiry of a key to a Unix timestamp in milliseconds. A timestamp in the
+   * past expires the key immediately.
+   * @returns {number} The new expiry timestamp.
+   */
+  async expireAt(key, timestamp) {
+    if (!Number.isFinite(timestamp)) {
+      throw new ValidationError("Expiry must be a timestamp in milliseconds");
+    }
+    return this.setExpiry(key, { expiry: timestamp });
+  }
+
+  /**
+   * Removes the expiry of a key so it is kept until deleted.
+   */
+  async persist(key) {
+    await this.setExpiry(key, { expiry: null });
+  }
+
+  /**
+   * Replaces the expiry fields of a live key and persists the change.
+   */
+  async setExpiry(key, timing) {
+    this.assertWritable();
+    this.validateKey(key);
+
+    await this.acquireLock(key);
+    try {
+      const item = await this.getLiveEntry(key);
+
+      if (timing.expiry !== null && timing.expiry <= Date.now()) {
+        this.removeEntry(key);
+        await this.persistChanges([{ op: "expire", key, previous: item.value }], {
+          deferred: true,
+        });
+        return timing.expiry;
       }
 
-      return item.value;
+      const { ttl, ...rest } = item;
+      const entry = { ...rest, ...timing };
+      this.setEntry(key, entry);
+      await this.persistChanges([{ op: "set", key, ...entry }]);
+      return entry.expiry;
     } finally {
       this.releaseLock(key);
     }
   }
 
+  /**
+   * Lists live keys in lexicographic order, one page at a time. The cursor encodes the
+   * last key returned, so pages stay stable while keys are added or removed. Pages
+   * are read from the key index, so one costs O(log N + limit) for N keys, plus any
+   * expired keys not swept yet.
+   * @param {object} options - prefix to filter on, cursor from the previous page,
+   *   limit (default 100, at most maxBatchSize) and includeValues to return entries.
+   * @returns {object} The page items and the cursor for the next page, or null when done.
+   */
+  async scan({ prefix = "", cursor = null, limit = 100, includeValues = false } = {}) {
+    if (typeof prefix !== "string") {
+      throw new ValidationError("Prefix must be a string");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxBatchSize) {
+      throw new ValidationError(`Limit must be an integer between 1 and ${this.maxBatchSize}`);
+    }
+    let after = null;
+    if (cursor) {
+      after = typeof cursor === "string" ? Buffer.from(cursor, "base64url").toString("utf8") : "";
+      // A cursor of this method decodes to a key and encodes back to itself
+      if (!after || Buffer.from(after, "utf8").toString("base64url") !== cursor) {
+        throw new ValidationError("Invalid cursor");
+      }
+    }
+
+    // Start at the prefix or at the cursor key, which is skipped, whichever comes later
+    const from = after !== null && after > prefix ? after : prefix;
+    const page = [];
+    for (const key of this.keyIndex.values(from)) {
+      if (!key.startsWith(prefix) || page.length > limit) {
+        break;
+      }
+      if (key !== after && this.isLive(this.data.get(key))) {
+        page.push(key);
+      }
+    }
+
+    const hasMore = page.length > limit;
+    const keys = page.slice(0, limit);
+    const items = keys.map((key) => {
+      if (!includeValues) {
+        return { key };
+      }
+      const { value, expiry, version } = this.data.get(key);
+      return { key, value, expiry, version };
+    });
+
+    return {
+      items,
+      cursor: hasMore
+        ? Buffer.from(keys[keys.length - 1], "utf8").toString("base64url")
+        : null,
+    };
+  }
+
   /**
    * Deletes a key-value pair from the store, respecting TTL if set.
    */
   async delete(key) {
+    this.assertWritable();
     this.validateKey(key);
 
     await this.acquireLock(key);
     try {
-      const item = this.data.get(key);
-      if (!item) {
-        throw new Error("Key not found");
+      const item = await this.getLiveEntry(key);
+
+      this.removeEntry(key);
+      await this.persistChanges([{ op: "del", key, previous: item.value }], {
+        deferred: true,
+      });
+    } finally {
+      this.releaseLock(key);
+    }
+  }
+
+  /**
+   * Removes expired keys in expiry order, stopping once the sweep has used its time
+   * budget so a large backlog is spread over several intervals. Locked keys are left
+   * for the next sweep. The removals are persisted together.
+   * @returns {number} The number of keys removed.
+   */
+  async sweepExpired() {
+    const started = Date.now();
+    const records = [];
+    const skipped = [];
+
+    while (this.expiryIndex.size > 0) {
+      const next = this.expiryIndex.peek();
+      const now = Date.now();
+      if (next.expiry > now || now - started >= this.expirySweepBudget) {
+        break;
       }
+      this.expiryIndex.pop();
 
-      if (item.expiry && item.expiry <= Date.now()) {
-        this.data.delete(key);
-        this.scheduleSave();
-        throw new Error("Key not found (expired)");
+      // Skip stale index entries left by deletes and TTL changes
+      const item = this.data.get(next.key);
+      if (!item || item.expiry !== next.expiry) {
+        continue;
+      }
+      if (this.lock.get(next.key)) {
+        skipped.push(next);
+        continue;
       }
+      this.removeEntry(next.key);
+      records.push({ op: "expire", key: next.key, previous: item.value });
+    }
 
-      this.data.delete(key);
-      this.scheduleSave();
+    for (const { key, expiry } of skipped) {
+      this.expiryIndex.add(key, expiry);
+    }
+    // Drop stale entries once they outnumber the live keys
+    if (this.expiryIndex.size > 2 * this.data.size + 1024) {
+      this.expiryIndex.rebuild(this.data);
+    }
+
+    if (records.length > 0) {
+      await this.persistChanges(records, { deferred: true });
+    }
+    return records.length;
+  }
+
+  /**
+   * Streams every live entry to a writable stream as NDJSON records of
+   * { key, value, expiry }. The entries are captured when the export starts, so
+   * writes made while it runs do not show up half-way.
+   * @param {stream.Writable} writable - Destination, ended when the export completes.
+   * @returns {number} The number of exported records.
+   */
+  async export(writable) {
+    const entries = [...this.data.entries()];
+    let count = 0;
+
+    const isLive = (item) => this.isLive(item);
+    await pipeline(
+      stream.Readable.from(
+        (function* () {
+          for (const [key, item] of entries) {
+            if (isLive(item)) {
+              count++;
+              yield `${JSON.stringify({ key, value: item.value, expiry: item.expiry })}\n`;
+            }
+          }
+        })()
+      ),
+      writable
+    );
+    return count;
+  }
+
+  /**
+   * Streams NDJSON records of { key, value, expiry } into the store, applying and
+   * persisting them in batches. Records that have already expired are dropped.
+   * On "fail", records before the conflicting one stay imported.
+   * @param {stream.Readable} readable - Source of NDJSON text.
+   * @param {object} options - onConflict: "skip" (default), "overwrite" or "fail",
+   *   for keys that already exist; owner and quota, see create().
+   * @returns {object} Counts of imported, skipped and expired records.
+   */
+  async import(readable, { onConflict = "skip", owner, quota } = {}) {
+    this.assertWritable();
+    if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      throw new ValidationError(`Invalid conflict mode: ${onConflict}`);
+    }
+
+    const summary = { imported: 0, skipped: 0, expired: 0 };
+    await pipeline(readable, parseNdjson(), async (source) => {
+      let batch = [];
+      for await (const item of source) {
+        batch.push(item);
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+          await this.importBatch(batch, onConflict, summary, { owner, quota });
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await this.importBatch(batch, onConflict, summary, { owner, quota });
+      }
+    });
+
+    await this.flush();
+    return summary;
+  }
+
+  /**
+   * Applies one batch of parsed import records under their key locks and persists them together.
+   */
+  async importBatch(batch, onConflict, summary, writer) {
+    batch.forEach(({ line, record }) => {
+      try {
+        if (!record || typeof record !== "object" || !("value" in record)) {
+          throw new ValidationError("Record must have a key and a value");
+        }
+        this.validateKey(record.key);
+        this.validateValue(record.value);
+        if (record.expiry != null && !Number.isFinite(record.expiry)) {
+          throw new ValidationError("Expiry must be a timestamp in milliseconds");
+        }
+      } catch (error) {
+        throw new ValidationError(`Invalid record at line ${line}: ${error.message}`);
+      }
+    });
+
+    const locks = await this.acquireLocks(batch.map(({ record }) => record.key));
+    const records = [];
+    try {
+      for (const { record } of batch) {
+        const { key, value } = record;
+        const expiry = record.expiry || null;
+        if (expiry && expiry <= Date.now()) {
+          summary.expired++;
+          continue;
+        }
+
+        const existing = this.data.get(key);
+        const live = this.isLive(existing);
+        if (live && onConflict === "skip") {
+          summary.skipped++;
+          continue;
+        }
+        if (live && onConflict === "fail") {
+          throw new ConflictError(`Key already exists: ${key}`, "IMPORT_CONFLICT");
+        }
+
+        const sizeDelta =
+          this.estimateEntrySize(key, value) -
+          (existing ? this.estimateEntrySize(key, existing.value) : 0);
+        const entry = {
+          value,
+          expiry,
+          version: this.nextVersion(existing),
+        };
+        const owner = writer.owner || (live ? existing.owner : undefined);
+        if (owner) {
+          entry.owner = owner;
+        }
+        this.checkQuota([[key, entry]], writer);
+        await this.ensureCapacity(sizeDelta);
+
+        this.setEntry(key, entry);
+        this.currentSize += sizeDelta;
+        records.push({
+          op: "set",
+          key,
+          ...entry,
+          event: live ? "updated" : "created",
+        });
+        summary.imported++;
+      }
     } finally {
-      this.releaseLock(key);
+      try {
+        if (records.length > 0) {
+          await this.persistChanges(records, { deferred: true });
+        }
+      } finally {
+        this.releaseLocks(locks);
+      }
+    }
+  }
+
+  /**
+   * Returns the store of an existing namespace. It has the same API as the root store
+   * but its own data file, value size limit, quota and default TTL.
+   * @param {string} name - The namespace name.
+   */
+  namespace(name) {
+    const namespace = this.namespaces.get(name);
+    if (!namespace) {
+      throw new NotFoundError(`Namespace not found: ${name}`, "NAMESPACE_NOT_FOUND");
+    }
+    return namespace;
+  }
+
+  /**
+   * Creates and opens a namespace.
+   * @param {string} name - Letters, digits, "_" or "-", at most 64 characters.
+   * @param {object} options - Optional maxValueSize (bytes), quota (bytes) and defaultTtl (seconds).
+   */
+  async createNamespace(name, { maxValueSize, quota, defaultTtl } = {}) {
+    this.assertWritable();
+    if (typeof name !== "string" || !NAMESPACE_NAME.test(name)) {
+      throw new ValidationError(
+        "Namespace name must be 1-64 letters, digits, underscores or dashes"
+      );
+    }
+    for (const [option, limit] of Object.entries({ maxValueSize, quota, defaultTtl })) {
+      if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+        throw new ValidationError(`${option} must be a positive integer`);
+      }
+    }
+
+    await this.acquireLock("namespaces", this.internalLocks);
+    try {
+      if (this.namespaceConfigs.has(name)) {
+        throw new ConflictError(`Namespace already exists: ${name}`, "NAMESPACE_EXISTS");
+      }
+
+      const config = {
+        maxValueSize: maxValueSize || null,
+        quota: quota || null,
+        defaultTtl: defaultTtl || null,
+      };
+      await fsp.mkdir(this.namespaceDir, { recursive: true });
+      await this.openNamespace(name, config);
+      this.namespaceConfigs.set(name, config);
+      await this.saveNamespaces();
+      return { name, ...config };
+    } finally {
+      this.releaseLock("namespaces", this.internalLocks);
+    }
+  }
+
+  /**
+   * Closes a namespace and deletes all of its data.
+   */
+  async dropNamespace(name) {
+    this.assertWritable();
+    await this.acquireLock("namespaces", this.internalLocks);
+    try {
+      const namespace = this.namespace(name);
+      await namespace.cleanup();
+      this.namespaces.delete(name);
+      this.namespaceConfigs.delete(name);
+      await this.saveNamespaces();
+
+      const files = [
+        namespace.filePath,
+        `${namespace.filePath}.log`,
+        `${namespace.filePath}.bak`,
+        namespace.indexFile,
+      ];
+      for (const file of files) {
+        await fsp.rm(file, { force: true });
+      }
+    } finally {
+      this.releaseLock("namespaces", this.internalLocks);
+    }
+  }
+
+  /**
+   * Lists the namespaces with their limits and current usage.
+   */
+  listNamespaces() {
+    return [...this.namespaceConfigs.entries()].map(([name, config]) => {
+      const namespace = this.namespaces.get(name);
+      return {
+        name,
+        ...config,
+        keys: namespace.data.size,
+        size: namespace.currentSize,
+        evictedKeys: namespace.evictedKeys,
+      };
+    });
+  }
+
+  /**
+   * Opens every namespace listed in the registry. On a reload of a read-only store,
+   * namespaces already open are kept and those the primary dropped are closed.
+   */
+  async loadNamespaces() {
+    let registry;
+    try {
+      registry = JSON.parse(
+        await fsp.readFile(path.join(this.namespaceDir, "namespaces.json"), "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      registry = {};
+    }
+
+    for (const [name, config] of Object.entries(registry)) {
+      if (!this.namespaces.has(name)) {
+        await this.openNamespace(name, config);
+      }
+      this.namespaceConfigs.set(name, config);
+    }
+    for (const [name, namespace] of this.namespaces) {
+      if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+        await namespace.cleanup();
+        this.namespaces.delete(name);
+        this.namespaceConfigs.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Opens the store backing a namespace, inheriting this store's options, including
+   * readOnly, and whether it is a replica.
+   */
+  async openNamespace(name, config) {
+    const options = { ...this.options, defaultTtl: config.defaultTtl };
+    if (config.maxValueSize) {
+      options.maxValueSize = config.maxValueSize;
+    }
+    if (config.quota) {
+      options.maxFileSize = config.quota;
+    }
+
+    const namespace = new KVStore(path.join(this.namespaceDir, `${name}.json`), options);
+    await namespace.initialize();
+    namespace.setReplicaOf(this.replicaOf);
+    this.namespaces.set(name, namespace);
+  }
+
+  /**
+   * Writes the namespace registry next to the namespace data files.
+   */
+  async saveNamespaces() {
+    const registryPath = path.join(this.namespaceDir, "namespaces.json");
+    const tempPath = `${registryPath}.tmp`;
+    await fsp.writeFile(
+      tempPath,
+      JSON.stringify(Object.fromEntries(this.namespaceConfigs)),
+      "utf8"
+    );
+    await fsp.rename(tempPath, registryPath);
+  }
+
+  /**
+   * Declares a secondary index on a JSON path of the stored values and builds it from
+   * the current data. Writes, deletes, expiry and eviction keep it up to date.
+   * @param {string} name - The index name.
+   * @param {string} jsonPath - Path of the indexed field, like "$.email" or "$.address.city".
+   */
+  async createIndex(name, jsonPath) {
+    this.assertWritable();
+    if (typeof name !== "string" || !INDEX_NAME.test(name)) {
+      throw new ValidationError(
+        "Index name must be 1-64 letters, digits, underscores or dashes"
+      );
+    }
+    const index = new SecondaryIndex(name, jsonPath);
+
+    await this.acquireLock("indexes", this.internalLocks);
+    try {
+      if (this.indexes.has(name)) {
+        throw new ConflictError(`Index already exists: ${name}`, "INDEX_EXISTS");
+      }
+      index.rebuild(this.data);
+      this.indexes.set(name, index);
+      await this.saveIndexes();
+      return { name, path: jsonPath };
+    } finally {
+      this.releaseLock("indexes", this.internalLocks);
+    }
+  }
+
+  /**
+   * Removes a secondary index.
+   */
+  async dropIndex(name) {
+    this.assertWritable();
+    await this.acquireLock("indexes", this.internalLocks);
+    try {
+      if (!this.indexes.has(name)) {
+        throw new NotFoundError(`Index not found: ${name}`, "INDEX_NOT_FOUND");
+      }
+      this.indexes.delete(name);
+      await this.saveIndexes();
+    } finally {
+      this.releaseLock("indexes", this.internalLocks);
+    }
+  }
+
+  /**
+   * Lists the secondary indexes with their paths and number of indexed keys.
+   */
+  listIndexes() {
+    return [...this.indexes.values()].map((index) => ({
+      name: index.name,
+      path: index.path,
+      keys: index.size,
+    }));
+  }
+
+  /**
+   * Finds entries through a secondary index, ordered by the indexed field and then in
+   * index order. Matches either one value (eq) or a range of numbers or strings.
+   * @param {string} name - The index name.
+   * @param {object} query - { eq } or any of { gt, gte, lt, lte }, plus an optional limit
+   *   (default 100, at most maxBatchSize).
+   * @returns {object} { items: [{ key, value, version }] }
+   */
+  async query(name, { limit = 100, ...query } = {}) {
+    const index = this.indexes.get(name);
+    if (!index) {
+      throw new NotFoundError(`Index not found: ${name}`, "INDEX_NOT_FOUND");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxBatchSize) {
+      throw new ValidationError(`Limit must be an integer between 1 and ${this.maxBatchSize}`);
+    }
+
+    const items = [];
+    for (const key of index.find(query)) {
+      const item = this.data.get(key);
+      if (!this.isLive(item)) {
+        continue;
+      }
+      items.push({ key, value: item.value, version: item.version });
+      if (items.length === limit) {
+        break;
+      }
+    }
+    return { items };
+  }
+
+  /**
+   * Reads the secondary index definitions saved next to the data file.
+   */
+  async loadIndexes() {
+    let definitions;
+    try {
+      definitions = JSON.parse(await fsp.readFile(this.indexFile, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+
+    this.indexes.clear();
+    for (const [name, jsonPath] of Object.entries(definitions)) {
+      this.indexes.set(name, new SecondaryIndex(name, jsonPath));
+    }
+  }
+
+  /**
+   * Writes the secondary index definitions next to the data file.
+   */
+  async saveIndexes() {
+    const tempPath = `${this.indexFile}.tmp`;
+    const definitions = {};
+    for (const [name, index] of this.indexes) {
+      definitions[name] = index.path;
+    }
+    await fsp.writeFile(tempPath, JSON.stringify(definitions), "utf8");
+    await fsp.rename(tempPath, this.indexFile);
+  }
+
+  /**
+   * Reports the size of the store, its limits, its activity counters (reads, expired
+   * keys, lock waits and saves) and its namespaces. Durations are in ms.
+   */
+  stats() {
+    let expiringKeys = 0;
+    for (const item of this.data.values()) {
+      if (item.expiry) {
+        expiringKeys++;
+      }
+    }
+    return {
+      file: this.filePath,
+      keys: this.data.size,
+      expiringKeys,
+      size: this.currentSize,
+      maxSize: this.maxFileSize,
+      evictionPolicy: this.evictionPolicy,
+      evictedKeys: this.evictedKeys,
+      expiredKeys: this.expiredKeys,
+      reads: { hits: this.readHits, misses: this.readMisses },
+      locks: { waits: this.lockWaits, waitMs: this.lockWaitMs },
+      saves: { count: this.saves, failures: this.saveFailures, totalMs: this.saveMs },
+      appendOnly: Boolean(this.appendLog),
+      namespaces: this.listNamespaces(),
+    };
+  }
+
+  /**
+   * Checks the integrity of the data file, the append-only log and every namespace on
+   * demand, without changing anything. Configuration errors, like a wrong encryption
+   * key, are reported as failures too.
+   * @returns {object} { ok, file, checksum, keys, error, log, namespaces }
+   */
+  async verify() {
+    const report = {
+      ok: true,
+      file: this.filePath,
+      checksum: null,
+      keys: null,
+      error: null,
+    };
+    try {
+      const { data, checksum } = await this.readDataFile(this.filePath);
+      report.checksum = checksum;
+      report.keys = Object.keys(data).filter((key) => key !== VERSION_FLOOR_KEY).length;
+    } catch (error) {
+      report.ok = false;
+      report.error = error.message;
+    }
+
+    if (this.appendLog) {
+      try {
+        report.log = await this.appendLog.verify();
+      } catch (error) {
+        report.log = { records: 0, incompleteTail: false, error: error.message };
+      }
+      report.ok = report.ok && !report.log.error;
+    }
+
+    if (this.namespaces.size > 0) {
+      report.namespaces = {};
+      for (const [name, namespace] of this.namespaces) {
+        report.namespaces[name] = await namespace.verify();
+        report.ok = report.ok && report.namespaces[name].ok;
+      }
     }
+    return report;
   }
 
   /**
    * Compacts the data store by removing expired keys and saving updated data to file.
+   * In append-only mode this also folds the log into the snapshot.
    */
   async compact() {
-    await this.acquireLock("compact");
+    this.assertWritable();
+    await this.acquireLock("compact", this.internalLocks);
     try {
       const now = Date.now();
+      const records = [];
       for (const [key, item] of this.data.entries()) {
         if (item.expiry && item.expiry <= now) {
-          this.data.delete(key);
+          this.removeEntry(key);
+          records.push({ op: "expire", key, previous: item.value });
         }
       }
-      await this.saveData();
+      this.expiryIndex.rebuild(this.data);
+      if (this.appendLog) {
+        await this.rewriteLog();
+      } else {
+        await this.saveData();
+      }
+      this.publishChanges(records);
     } finally {
-      this.releaseLock("compact");
+      this.releaseLock("compact", this.internalLocks);
     }
   }
 }
 
-module.exports = KVStore;
+/**
+ * Formats a byte count for error messages, e.g. 16384 as "16KB".
+ */
+function formatBytes(bytes) {
+  const units = ["bytes", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && size % 1024 === 0 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} bytes` : `${size}${units[unit]}`;
+}
 
-process.on("exit", async () => {
-  if (global.kvStore) {
-    await global.kvStore.cleanup();
+/**
+ * Parses the JSON of a data file, marking a parse failure as corruption.
+ */
+function parseData(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CorruptionError(`Data file is not valid JSON: ${error.message}`, "CORRUPT_DATA");
   }
-});
+}
+
+/**
+ * Creates a transform that splits NDJSON text into parsed records, tagging parse
+ * errors with their line number. Blank lines are skipped. Chunks are decoded as a
+ * stream, so a character split across two chunks is read back whole.
+ */
+function parseNdjson() {
+  const decoder = new StringDecoder("utf8");
+  let buffered = "";
+  let lineNumber = 0;
+
+  const parseLine = (line, push) => {
+    lineNumber++;
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      push({ line: lineNumber, record: JSON.parse(line) });
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON at line ${lineNumber}`);
+    }
+  };
+
+  return new stream.Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        buffered += decoder.write(chunk);
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        lines.forEach((line) => parseLine(line, (item) => this.push(item)));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        parseLine(buffered + decoder.end(), (item) => this.push(item));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+module.exports = KVStore;
@@ -0,0 +1,135 @@
+// Upper bounds in seconds of the latency histogram buckets
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Formats labels as {name="value",...}, escaping values as the Prometheus text format
+ * requires. Returns an empty string without labels.
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats one metric family: its HELP and TYPE lines and a sample per labelled value.
+ * @param {string} name - Metric name.
+ * @param {string} type - "counter" or "gauge".
+ * @param {string} help - Description of the metric.
+ * @param {object[]} samples - { labels, value } items.
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels, value } of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join("\n");
+}
+
+class Histogram {
+  /**
+   * Counts observations into cumulative buckets per set of labels, as a Prometheus
+   * histogram.
+   * @param {string} name - Metric name; _bucket, _sum and _count are appended.
+   * @param {string} help - Description of the metric.
+   * @param {number[]} buckets - Ascending upper bounds; +Inf is added.
+   */
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // Counts by formatted labels
+  }
+
+  /**
+   * Records one observation.
+   */
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Formats the histogram in the Prometheus text format.
+   */
+  format() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+// Store metrics: name, type, help, and how to read the value from stats()
+const STORE_METRICS = [
+  ["kvstore_keys", "gauge", "Number of keys.",
+    (stats) => stats.keys],
+  ["kvstore_expiring_keys", "gauge", "Number of keys with a TTL.",
+    (stats) => stats.expiringKeys],
+  ["kvstore_size_bytes", "gauge", "Size of the stored entries in bytes.",
+    (stats) => stats.size],
+  ["kvstore_max_size_bytes", "gauge", "Size limit of the data file in bytes.",
+    (stats) => stats.maxSize],
+  ["kvstore_expired_keys_total", "counter", "Keys removed after their TTL ran out.",
+    (stats) => stats.expiredKeys],
+  ["kvstore_evicted_keys_total", "counter", "Keys evicted to make room for writes.",
+    (stats) => stats.evictedKeys],
+  ["kvstore_read_hits_total", "counter", "Reads that found a live key.",
+    (stats) => stats.reads.hits],
+  ["kvstore_read_misses_total", "counter", "Reads of missing or expired keys.",
+    (stats) => stats.reads.misses],
+  ["kvstore_lock_waits_total", "counter", "Key lock acquisitions that had to wait.",
+    (stats) => stats.locks.waits],
+  ["kvstore_lock_wait_seconds_total", "counter", "Time spent waiting for key locks.",
+    (stats) => stats.locks.waitMs / 1000],
+  ["kvstore_saves_total", "counter", "Completed saves of the data file.",
+    (stats) => stats.saves.count],
+  ["kvstore_save_failures_total", "counter", "Failed saves of the data file.",
+    (stats) => stats.saves.failures],
+  ["kvstore_save_seconds_total", "counter", "Time spent saving the data file.",
+    (stats) => stats.saves.totalMs / 1000],
+];
+
+/**
+ * Formats the statistics of a store and each of its namespaces in the Prometheus text
+ * format, labelled by namespace (empty for the root keyspace).
+ * @param {KVStore} store - The root store.
+ */
+function formatStoreMetrics(store) {
+  const stores = [["", store], ...store.namespaces];
+  const reports = stores.map(([namespace, target]) => ({
+    labels: { namespace },
+    stats: target.stats(),
+  }));
+  return STORE_METRICS.map(([name, type, help, valueOf]) =>
+    formatMetric(
+      name,
+      type,
+      help,
+      reports.map(({ labels, stats }) => ({ labels, value: valueOf(stats) }))
+    )
+  ).join("\n");
+}
+
+module.exports = { Histogram, formatMetric, formatStoreMetrics };
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { AuthenticationError, PermissionError, ValidationError } = require("../errors");
+
+const ACTIONS = ["read", "write", "delete"];
+
+/**
+ * Hashes an API key, so clients are looked up by digest rather than by the raw key.
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Loads and validates the API key configuration file. Each entry has a key, a name,
+ * and either admin: true or a list of permissions such as
+ * { namespace: "billing", prefix: "invoice:", actions: ["read", "write"] }.
+ * A permission without namespace applies to the root keyspace, "*" to every namespace.
+ * An entry may also set rateLimit ({ requestsPerSecond, bytesPerSecond }) and a
+ * storage quota in bytes, overriding the server defaults for that key.
+ */
+function loadAuthConfig(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!config || !Array.isArray(config.keys)) {
+    throw new ValidationError(
+      `Invalid auth config ${configPath}: "keys" must be an array`,
+      "INVALID_CONFIG"
+    );
+  }
+
+  const clients = new Map();
+  config.keys.forEach((entry, index) => {
+    if (!entry || typeof entry.key !== "string" || !entry.key) {
+      throw new ValidationError(
+        `Invalid auth config: keys[${index}] has no key`,
+        "INVALID_CONFIG"
+      );
+    }
+    const permissions = entry.permissions || [];
+    permissions.forEach((permission) => {
+      const actions = permission.actions || [];
+      if (!actions.every((action) => ACTIONS.includes(action))) {
+        throw new ValidationError(
+          `Invalid auth config: keys[${index}] actions must be read, write or delete`,
+          "INVALID_CONFIG"
+        );
+      }
+    });
+
+    clients.set(hashKey(entry.key), {
+      name: entry.name || `key${index}`,
+      admin: entry.admin === true,
+      rateLimit: entry.rateLimit || null,
+      quota: entry.quota || null,
+      permissions: permissions.map((permission) => ({
+        namespace: permission.namespace || null,
+        prefix: permission.prefix || "",
+        actions: permission.actions,
+      })),
+    });
+  });
+  return clients;
+}
+
+/**
+ * Creates the authentication and authorization middleware. Without a config path,
+ * auth is disabled and every middleware lets requests through. Rejected requests go
+ * to the error handler as an AuthenticationError (401) or a PermissionError (403).
+ * @param {object} options - configPath of the API key file (JSON).
+ */
+function createAuth({ configPath } = {}) {
+  const clients = configPath ? loadAuthConfig(configPath) : null;
+
+  /**
+   * Identifies the client from the Authorization: Bearer or X-API-Key header.
+   */
+  const authenticate = (req, res, next) => {
+    if (!clients) {
+      return next();
+    }
+
+    const header = req.get("Authorization") || "";
+    const apiKey = header.startsWith("Bearer ")
+      ? header.slice(7).trim()
+      : req.get("X-API-Key");
+    if (!apiKey) {
+      res.set("WWW-Authenticate", "Bearer");
+      return next(new AuthenticationError("Missing API key", "MISSING_API_KEY"));
+    }
+
+    const client = clients.get(hashKey(apiKey));
+    if (!client) {
+      res.set("WWW-Authenticate", "Bearer");
+      return next(new AuthenticationError("Invalid API key", "INVALID_API_KEY"));
+    }
+    req.apiClient = client; // Not req.client, which Node sets to the socket
+    next();
+  };
+
+  /**
+   * Checks that the client may perform every action a request needs. The resolver
+   * returns the { action, key } pairs touched by the request; a scan or export passes
+   * its prefix as the key, so it must fall inside a granted prefix.
+   * @param {function} resolve - Maps the request to a list of { action, key }.
+   */
+  const authorize = (resolve) => (req, res, next) => {
+    if (!clients || req.apiClient.admin) {
+      return next();
+    }
+
+    const namespace = req.params.ns || null;
+    for (const { action, key } of resolve(req)) {
+      const allowed = req.apiClient.permissions.some(
+        (permission) =>
+          (permission.namespace === namespace || permission.namespace === "*") &&
+          permission.actions.includes(action) &&
+          typeof key === "string" &&
+          key.startsWith(permission.prefix)
+      );
+      if (!allowed) {
+        return next(
+          new PermissionError(`Not allowed to ${action} key: ${key}`, "FORBIDDEN")
+        );
+      }
+    }
+    next();
+  };
+
+  /**
+   * Restricts a route to admin keys, e.g. creating and dropping namespaces.
+   */
+  const requireAdmin = (req, res, next) => {
+    if (!clients || req.apiClient.admin) {
+      return next();
+    }
+    next(new PermissionError("Admin API key required", "ADMIN_REQUIRED"));
+  };
+
+  return { authenticate, authorize, requireAdmin };
+}
+
+module.exports = createAuth;
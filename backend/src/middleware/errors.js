@@ -0,0 +1,88 @@
+const { KVStoreError } = require("../errors");
+
+// HTTP status for each error code of the store and the API
+const STATUS_BY_CODE = {
+  MISSING_API_KEY: 401,
+  INVALID_API_KEY: 401,
+  FORBIDDEN: 403,
+  ADMIN_REQUIRED: 403,
+  ROUTE_NOT_FOUND: 404,
+  KEY_NOT_FOUND: 404,
+  KEY_EXPIRED: 404,
+  NAMESPACE_NOT_FOUND: 404,
+  INDEX_NOT_FOUND: 404,
+  READ_ONLY: 403,
+  KEY_EXISTS: 409,
+  VERSION_MISMATCH: 409,
+  NAMESPACE_EXISTS: 409,
+  INDEX_EXISTS: 409,
+  IMPORT_CONFLICT: 409,
+  PATCH_TEST_FAILED: 409,
+  TX_ABORTED: 409,
+  KEY_TOO_LONG: 413,
+  VALUE_TOO_LARGE: 413,
+  BATCH_TOO_LARGE: 413,
+  LOCK_TIMEOUT: 423,
+  FILE_LOCKED: 423,
+  RATE_LIMITED: 429,
+  SAVE_FAILED: 500,
+  PERMISSION_DENIED: 500,
+  CHECKSUM_MISMATCH: 500,
+  CORRUPT_DATA: 500,
+  DECRYPTION_FAILED: 500,
+  WRONG_KEY: 500,
+  KEY_REQUIRED: 500,
+  UNSUPPORTED_ALGORITHM: 500,
+  ENCRYPTION_DISABLED: 501,
+  SHUTTING_DOWN: 503,
+  STORE_FULL: 507,
+  QUOTA_EXCEEDED: 507,
+};
+
+// Codes for the errors of the JSON body parser, by their type
+const CODE_BY_BODY_ERROR = {
+  "entity.parse.failed": "INVALID_JSON",
+  "entity.too.large": "BODY_TOO_LARGE",
+};
+
+/**
+ * Gives an error that is not a KVStoreError a status and a code: errors of the body
+ * parser keep their status, like 400 for malformed JSON, and anything else is an
+ * INTERNAL_ERROR (500).
+ */
+function describeError(error) {
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: CODE_BY_BODY_ERROR[error.type] || "BAD_REQUEST" };
+  }
+  return { status: 500, code: "INTERNAL_ERROR" };
+}
+
+/**
+ * Creates the error handler of the API. Every error response is { error, code } with
+ * the status for the code; store errors without a status of their own, like
+ * INVALID_ARGUMENT, are client errors (400). A failed transaction also returns the
+ * failedOp.
+ */
+function createErrorHandler() {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+
+    let status;
+    let code;
+    if (error instanceof KVStoreError) {
+      code = error.code;
+      status = STATUS_BY_CODE[code] || 400;
+    } else {
+      ({ status, code } = describeError(error));
+    }
+    const body = { error: error.message, code };
+    if (error.failedOp) {
+      body.failedOp = error.failedOp;
+    }
+    res.status(status).json(body);
+  };
+}
+
+module.exports = createErrorHandler;
@@ -0,0 +1,37 @@
+const { Histogram } = require("../metrics");
+
+/**
+ * Creates middleware that records the latency of every request in a histogram by
+ * method, route and status. The route is the Express route pattern, such as
+ * /api/kv/:key, so keys do not end up in labels; routers mounted on a pattern set
+ * req.baseRoute to it, and requests that match no route are labelled "unmatched".
+ * Requests aborted before a response, like closed watch streams, are not recorded.
+ * @param {object} options - Optional buckets, the upper bounds in seconds.
+ * @returns {object} measure, the middleware, and format, which returns the histogram
+ *   in the Prometheus text format.
+ */
+function createHttpMetrics({ buckets } = {}) {
+  const histogram = new Histogram(
+    "http_request_duration_seconds",
+    "Latency of HTTP requests.",
+    buckets
+  );
+
+  const measure = (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const route = req.route
+        ? `${req.baseRoute || req.baseUrl}${req.route.path}`
+        : "unmatched";
+      histogram.observe(
+        { method: req.method, route, status: res.statusCode },
+        Number(process.hrtime.bigint() - started) / 1e9
+      );
+    });
+    next();
+  };
+
+  return { measure, format: () => histogram.format() };
+}
+
+module.exports = createHttpMetrics;
@@ -0,0 +1,97 @@
+const { RateLimitError } = require("../errors");
+
+const IDLE_BUCKET_MS = 60 * 1000; // Buckets idle this long are full again and can be dropped
+const PRUNE_EVERY = 1000; // Requests between sweeps of idle buckets
+
+/**
+ * Creates per-client rate limiting middleware using token buckets, one for requests
+ * and one for request body bytes. Clients are identified by API key name when
+ * authenticated, otherwise by IP; the id is exposed as req.clientId. An API key's
+ * rateLimit in the auth config overrides the defaults. Each bucket holds burstSeconds
+ * worth of tokens. Body bytes are charged as they are read, so chunked uploads without
+ * a Content-Length count too. A large body may take the byte bucket into debt, and the
+ * client is limited until the debt is paid back. A limited request goes to the error handler as a
+ * RateLimitError (429), with a Retry-After header.
+ * @param {object} options - requestsPerSecond and bytesPerSecond (unset means unlimited),
+ *   and burstSeconds (default 1).
+ */
+function createRateLimit({ requestsPerSecond, bytesPerSecond, burstSeconds = 1 } = {}) {
+  const buckets = new Map();
+  let requestCount = 0;
+
+  const refill = (tokens, rate, elapsed) =>
+    Math.min(rate * burstSeconds, tokens + elapsed * rate);
+
+  const prune = (now) => {
+    for (const [id, bucket] of buckets) {
+      if (now - bucket.updated > IDLE_BUCKET_MS) {
+        buckets.delete(id);
+      }
+    }
+  };
+
+  return (req, res, next) => {
+    req.clientId = req.apiClient ? `key:${req.apiClient.name}` : `ip:${req.ip}`;
+
+    const overrides = (req.apiClient && req.apiClient.rateLimit) || {};
+    const requestRate = overrides.requestsPerSecond || requestsPerSecond;
+    const byteRate = overrides.bytesPerSecond || bytesPerSecond;
+    if (!requestRate && !byteRate) {
+      return next();
+    }
+
+    const now = Date.now();
+    if (++requestCount % PRUNE_EVERY === 0) {
+      prune(now);
+    }
+
+    let bucket = buckets.get(req.clientId);
+    if (!bucket) {
+      bucket = {
+        requests: (requestRate || 0) * burstSeconds,
+        bytes: (byteRate || 0) * burstSeconds,
+        updated: now,
+      };
+      buckets.set(req.clientId, bucket);
+    }
+    const elapsed = (now - bucket.updated) / 1000;
+    bucket.updated = now;
+
+    let retryAfter = 0;
+    if (requestRate) {
+      bucket.requests = refill(bucket.requests, requestRate, elapsed);
+      if (bucket.requests < 1) {
+        retryAfter = Math.max(retryAfter, (1 - bucket.requests) / requestRate);
+      }
+    }
+    if (byteRate) {
+      bucket.bytes = refill(bucket.bytes, byteRate, elapsed);
+      if (bucket.bytes < 0) {
+        retryAfter = Math.max(retryAfter, -bucket.bytes / byteRate);
+      }
+    }
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(Math.ceil(retryAfter)));
+      return next(new RateLimitError("Rate limit exceeded"));
+    }
+
+    if (requestRate) {
+      bucket.requests -= 1;
+    }
+    if (byteRate) {
+      // Wrapping emit sees every chunk, whoever reads the body, without switching the
+      // request into flowing mode as a "data" listener would
+      const emit = req.emit;
+      req.emit = function emitCharged(event, chunk, ...args) {
+        if (event === "data") {
+          bucket.bytes -= typeof chunk === "string" ? Buffer.byteLength(chunk) : chunk.length;
+        }
+        return emit.call(this, event, chunk, ...args);
+      };
+    }
+    next();
+  };
+}
+
+module.exports = createRateLimit;
@@ -0,0 +1,291 @@
+const { EventEmitter } = require("events");
+
+/**
+ * Formats one Server-Sent Event.
+ */
+function formatEvent(event, data, id) {
+  const idLine = id !== undefined ? `id: ${id}\n` : "";
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parses one Server-Sent Event into { event, data }. Comment lines are skipped.
+ */
+function parseEvent(message) {
+  let event = "message";
+  const data = [];
+  for (const line of message.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      data.push(line.slice(5).trim());
+    }
+  }
+  return { event, data: data.length > 0 ? JSON.parse(data.join("\n")) : null };
+}
+
+class ReplicationSource {
+  /**
+   * Streams the ordered changes of a primary store to followers over Server-Sent Events.
+   * @param {KVStore} store - The primary store.
+   * @param {object} options - Optional pingInterval in ms (default 1000) between the
+   *   pings that tell followers the primary's latest sequence number.
+   */
+  constructor(store, { pingInterval = 1000 } = {}) {
+    this.store = store;
+    this.pingInterval = pingInterval;
+    this.followers = new Set(); // Connected followers, for status()
+  }
+
+  /**
+   * Express handler for the replication stream. A follower passes the replicationId
+   * and sequence number it last applied; if the primary still keeps the changes after
+   * it, they are sent first. Otherwise, or when the follower comes from an earlier run
+   * of the primary, it gets a full snapshot: a "reset" event, an "entry" event per key
+   * and a "synced" event. Then every new change follows as a "change" event.
+   */
+  stream(req, res) {
+    const { replicationId } = req.query;
+    const since = Number(req.query.since);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const missed =
+      replicationId === this.store.replicationId && Number.isInteger(since)
+        ? this.store.changesSince(since)
+        : null;
+    if (missed) {
+      missed.forEach((change) => res.write(formatEvent("change", change, change.seq)));
+    } else {
+      // Captured in the same tick as the subscription below, so no change falls between
+      const snapshot = this.store.replicationSnapshot();
+      res.write(formatEvent("reset", { replicationId: snapshot.replicationId, seq: snapshot.seq }));
+      for (const entry of snapshot.entries) {
+        res.write(formatEvent("entry", entry));
+      }
+      res.write(formatEvent("synced", { seq: snapshot.seq }));
+    }
+
+    const follower = {
+      address: req.ip,
+      connectedAt: new Date().toISOString(),
+      fullSync: !missed,
+    };
+    const onChange = (change) => {
+      res.write(formatEvent("change", change, change.seq));
+    };
+    const ping = setInterval(() => {
+      res.write(formatEvent("ping", { seq: this.store.sequence }));
+    }, this.pingInterval);
+
+    this.followers.add(follower);
+    this.store.on("change", onChange);
+    req.on("close", () => {
+      clearInterval(ping);
+      this.store.off("change", onChange);
+      this.followers.delete(follower);
+    });
+  }
+
+  /**
+   * Describes the primary and its connected followers.
+   */
+  status() {
+    return {
+      role: "primary",
+      replicationId: this.store.replicationId,
+      seq: this.store.sequence,
+      followers: [...this.followers],
+    };
+  }
+}
+
+class ReplicationFollower extends EventEmitter {
+  /**
+   * Keeps a store in sync with a primary by applying its replication stream. The store
+   * rejects writes of its own while it follows. Emits "synced" after a full snapshot.
+   * @param {KVStore} store - The follower's store.
+   * @param {object} options - primaryUrl, the base URL of the primary's API; optional
+   *   apiKey for it, and retryDelay in ms (default 1000) before reconnecting.
+   */
+  constructor(store, { primaryUrl, apiKey = null, retryDelay = 1000 }) {
+    super();
+    if (!primaryUrl) {
+      throw new Error("Replication needs the URL of the primary");
+    }
+    this.store = store;
+    this.primaryUrl = primaryUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.retryDelay = retryDelay;
+    this.state = "stopped"; // "connecting", "syncing", "streaming", "disconnected" or "stopped"
+    this.replicationId = null; // Sequence space of the primary run being followed
+    this.seq = 0; // Sequence number of the last change applied from the primary
+    this.primarySeq = 0; // Latest sequence number the primary has reported
+    this.caughtUpAt = null; // When the follower was last known to have applied everything
+    this.fullSyncs = 0; // Number of snapshots loaded from the primary
+    this.lastSyncAt = null; // When the last snapshot was loaded
+    this.lastError = null; // Why the last connection failed
+    this.snapshot = null; // Entries of a snapshot being received
+    this.controller = null; // Aborts the open stream on stop()
+    this.running = null; // Promise of the connection loop
+  }
+
+  /**
+   * Marks the store as a replica and starts following the primary, reconnecting
+   * whenever the stream fails.
+   */
+  start() {
+    if (!this.running) {
+      this.store.setReplicaOf(this.primaryUrl);
+      this.state = "connecting";
+      this.running = this.run();
+    }
+    return this;
+  }
+
+  /**
+   * Stops following the primary. The store keeps its data but stays read-only.
+   */
+  async stop() {
+    this.state = "stopped";
+    if (this.controller) {
+      this.controller.abort();
+    }
+    await this.running;
+    this.running = null;
+  }
+
+  /**
+   * Connects to the primary until stopped, waiting retryDelay between attempts.
+   */
+  async run() {
+    while (this.state !== "stopped") {
+      try {
+        await this.connect();
+        throw new Error("Primary closed the replication stream");
+      } catch (error) {
+        if (this.state === "stopped") {
+          break;
+        }
+        this.lastError = error.message;
+        this.state = "disconnected";
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+      if (this.state !== "stopped") {
+        this.state = "connecting";
+      }
+    }
+  }
+
+  /**
+   * Opens the replication stream and applies its events until it ends.
+   */
+  async connect() {
+    const url = new URL(`${this.primaryUrl}/api/replication/stream`);
+    if (this.replicationId) {
+      url.searchParams.set("replicationId", this.replicationId);
+      url.searchParams.set("since", String(this.seq));
+    }
+    const headers = { Accept: "text/event-stream" };
+    if (this.apiKey) {
+      headers["X-API-Key"] = this.apiKey;
+    }
+
+    this.controller = new AbortController();
+    const response = await fetch(url, { headers, signal: this.controller.signal });
+    if (!response.ok) {
+      throw new Error(`Primary responded with status ${response.status}`);
+    }
+    this.state = "streaming";
+    this.lastError = null;
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        await this.handleEvent(parseEvent(message));
+      }
+    }
+  }
+
+  /**
+   * Applies one event of the replication stream.
+   */
+  async handleEvent({ event, data }) {
+    switch (event) {
+      case "reset":
+        this.state = "syncing";
+        this.primarySeq = data.seq;
+        this.snapshot = { replicationId: data.replicationId, seq: data.seq, entries: [] };
+        break;
+      case "entry":
+        this.snapshot.entries.push(data);
+        break;
+      case "synced":
+        await this.store.resetReplica(this.snapshot.entries);
+        this.replicationId = this.snapshot.replicationId;
+        this.seq = this.snapshot.seq;
+        this.snapshot = null;
+        this.fullSyncs++;
+        this.lastSyncAt = new Date().toISOString();
+        this.state = "streaming";
+        this.emit("synced", { seq: this.seq });
+        break;
+      case "change":
+        if (data.seq <= this.seq) {
+          break;
+        }
+        if (data.seq !== this.seq + 1) {
+          throw new Error(`Missed changes ${this.seq + 1} to ${data.seq - 1} of the primary`);
+        }
+        await this.store.applyReplicated([data]);
+        this.seq = data.seq;
+        break;
+      case "ping":
+        break;
+      default:
+        return;
+    }
+
+    if (data && typeof data.seq === "number") {
+      this.primarySeq = Math.max(this.primarySeq, data.seq);
+    }
+    if (this.state === "streaming" && this.seq >= this.primarySeq) {
+      this.caughtUpAt = Date.now();
+    }
+  }
+
+  /**
+   * Describes the follower and how far it lags behind the primary: lag.changes is the
+   * number of changes not applied yet, and lag.ms how long ago the follower was last
+   * known to have applied everything.
+   */
+  status() {
+    return {
+      role: "follower",
+      primary: this.primaryUrl,
+      state: this.state,
+      replicationId: this.replicationId,
+      seq: this.seq,
+      primarySeq: this.primarySeq,
+      lag: {
+        changes: Math.max(this.primarySeq - this.seq, 0),
+        ms: this.caughtUpAt === null ? null : Date.now() - this.caughtUpAt,
+      },
+      fullSyncs: this.fullSyncs,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { ReplicationSource, ReplicationFollower };
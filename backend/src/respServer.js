@@ -0,0 +1,534 @@
+const net = require("net");
+
+// Far below Redis's limits: values are bounded by the store anyway, and a client must
+// not make the server buffer hundreds of megabytes
+const MAX_BULK_LENGTH = 1024 * 1024;
+const MAX_LINE_LENGTH = 64 * 1024; // Inline commands and RESP headers, as in Redis
+const MAX_BUFFERED = 8 * 1024 * 1024; // Unparsed bytes kept for one connection
+const MAX_SCAN_CURSORS = 10000; // Open SCAN cursors kept per server
+const OK = { status: "OK" };
+
+/**
+ * Finds the end of the line starting at offset, or -1 if it is not complete yet.
+ * Throws once a line is longer than MAX_LINE_LENGTH, complete or not.
+ */
+function readLine(buffer, offset, separator) {
+  const lineEnd = buffer.indexOf(separator, offset);
+  const length = (lineEnd === -1 ? buffer.length : lineEnd) - offset;
+  if (length > MAX_LINE_LENGTH) {
+    throw new Error("Protocol error: too big inline request");
+  }
+  return lineEnd;
+}
+
+/**
+ * Parses one RESP2 value from a buffer: a simple string, error, integer, bulk string
+ * or array. Bulk strings come back as Buffers and errors as { error }.
+ * @returns {object} { value, offset } with the offset after the value, or null if the
+ *   buffer does not hold a complete value yet.
+ */
+function parseResp(buffer, offset = 0) {
+  const lineEnd = readLine(buffer, offset, "\r\n");
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: { error: line }, offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (!Number.isInteger(length) || length < -1 || length > MAX_BULK_LENGTH) {
+        throw new Error("Protocol error: invalid bulk length");
+      }
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.subarray(next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (!Number.isInteger(count) || count < -1) {
+        throw new Error("Protocol error: invalid multibulk length");
+      }
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseResp(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Protocol error: unexpected '${type}'`);
+  }
+}
+
+/**
+ * Encodes a reply: null as a nil bulk string, strings as bulk strings, integers,
+ * arrays, { status } as a simple string and { error } as an error.
+ */
+function encodeResp(value) {
+  if (value === null || value === undefined) {
+    return "$-1\r\n";
+  }
+  if (typeof value === "number") {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeResp).join("")}`;
+  }
+  if (typeof value === "object" && value.status) {
+    return `+${value.status}\r\n`;
+  }
+  if (typeof value === "object" && value.error) {
+    return `-${value.error.replace(/[\r\n]+/g, " ")}\r\n`;
+  }
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+/**
+ * Reads the complete commands at the start of a buffer, as arrays of strings. Commands
+ * are RESP arrays of bulk strings, or inline commands (space-separated words on a
+ * line), as sent by telnet.
+ * @returns {object} { commands, rest } with the unread remainder of the buffer.
+ */
+function readCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (buffer[offset] === 0x2a) {
+      const parsed = parseResp(buffer, offset);
+      if (!parsed) {
+        break;
+      }
+      if (!Array.isArray(parsed.value) || parsed.value.some((arg) => !Buffer.isBuffer(arg))) {
+        throw new Error("Protocol error: expected an array of bulk strings");
+      }
+      commands.push(parsed.value.map((arg) => arg.toString("utf8")));
+      offset = parsed.offset;
+    } else {
+      const lineEnd = readLine(buffer, offset, "\n");
+      if (lineEnd === -1) {
+        break;
+      }
+      const words = buffer.toString("utf8", offset, lineEnd).trim().split(/\s+/);
+      if (words[0] !== "") {
+        commands.push(words);
+      }
+      offset = lineEnd + 1;
+    }
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Turns a glob pattern of SCAN MATCH into a regular expression.
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*") {
+      source += ".*";
+    } else if (char === "?") {
+      source += ".";
+    } else if (char === "\\" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "[" && pattern.indexOf("]", i + 1) > i + 1) {
+      const end = pattern.indexOf("]", i + 1);
+      const set = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += set.startsWith("^") ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "s");
+}
+
+/**
+ * Returns the literal start of a glob pattern, used as the scan prefix.
+ */
+function globPrefix(pattern) {
+  const wildcard = pattern.search(/[*?[\\]/);
+  return wildcard === -1 ? pattern : pattern.slice(0, wildcard);
+}
+
+/**
+ * Formats a stored value as a Redis string: strings as they are, anything else as JSON.
+ */
+function toRedisString(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Parses a non-negative integer argument, or throws the Redis error for it.
+ */
+function integerArg(arg) {
+  if (!/^(0|[1-9][0-9]*)$/.test(arg)) {
+    throw new Error("value is not an integer or out of range");
+  }
+  return Number(arg);
+}
+
+/**
+ * Creates a TCP server speaking RESP2 in front of a store, so redis-cli and Redis
+ * client libraries can use it. SET stores values as strings; GET returns strings as
+ * they are and other JSON values serialized. Call listen() on the result.
+ * @param {KVStore} store - The store to serve.
+ */
+function createRespServer(store) {
+  const startedAt = Date.now();
+  const cursors = new Map(); // SCAN cursor id to the store cursor it stands for
+  let nextCursor = 1;
+  let clients = 0;
+
+  // Key-not-found errors of the store become nil replies, other errors RESP errors
+  const orNull = async (read) => {
+    try {
+      return await read();
+    } catch (error) {
+      if (error.code === "KEY_NOT_FOUND" || error.code === "KEY_EXPIRED") {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Sections and fields of the INFO reply, named like Redis's where they match
+  const info = () => {
+    let expires = 0;
+    for (const item of store.data.values()) {
+      if (item.expiry) {
+        expires++;
+      }
+    }
+    return {
+      Server: {
+        redis_mode: "standalone",
+        process_id: process.pid,
+        uptime_in_seconds: Math.floor((Date.now() - startedAt) / 1000),
+      },
+      Clients: { connected_clients: clients },
+      Memory: {
+        used_memory: store.currentSize,
+        maxmemory: store.maxFileSize,
+        maxmemory_policy: store.evictionPolicy,
+      },
+      Persistence: { loading: 0 },
+      Stats: { evicted_keys: store.evictedKeys },
+      Replication: { role: store.replicaOf ? "slave" : "master" },
+      Keyspace: { db0: `keys=${store.data.size},expires=${expires},avg_ttl=0` },
+    };
+  };
+
+  // Each command has Redis's arity: the exact argument count including the command
+  // name, or its negative for a minimum
+  const commands = {
+    ping: {
+      arity: -1,
+      run: ([message]) => (message === undefined ? { status: "PONG" } : message),
+    },
+    get: {
+      arity: 2,
+      run: ([key]) => orNull(async () => toRedisString(await store.read(key))),
+    },
+    set: {
+      arity: -3,
+      run: async ([key, value, ...options]) => {
+        let ttl = null;
+        let onlyIfMissing = false;
+        for (let i = 0; i < options.length; i++) {
+          const option = options[i].toUpperCase();
+          if (option === "NX") {
+            onlyIfMissing = true;
+          } else if (option === "EX" && i + 1 < options.length) {
+            ttl = integerArg(options[++i]);
+            if (ttl === 0) {
+              throw new Error("invalid expire time in 'set' command");
+            }
+          } else {
+            throw new Error("syntax error");
+          }
+        }
+
+        if (onlyIfMissing) {
+          try {
+            await store.create(key, value, ttl);
+          } catch (error) {
+            if (error.code === "KEY_EXISTS") {
+              return null;
+            }
+            throw error;
+          }
+        } else {
+          await store.upsert(key, value, ttl);
+        }
+        return OK;
+      },
+    },
+    del: {
+      arity: -2,
+      run: async (keys) => {
+        const results = await store.batchDelete(keys);
+        return results.filter((result) => result.status === "deleted").length;
+      },
+    },
+    exists: {
+      arity: -2,
+      run: async (keys) => {
+        const results = await store.batchRead(keys);
+        return results.filter((result) => result.status === "found").length;
+      },
+    },
+    ttl: {
+      arity: 2,
+      run: async ([key]) => {
+        const seconds = await orNull(() => store.ttl(key));
+        if (seconds === null) {
+          return store.data.has(key) ? -1 : -2;
+        }
+        return seconds;
+      },
+    },
+    mget: {
+      arity: -2,
+      run: async (keys) => {
+        const results = await store.batchRead(keys);
+        return results.map((result) =>
+          result.status === "found" ? toRedisString(result.value) : null
+        );
+      },
+    },
+    mset: {
+      arity: -3,
+      run: async (args) => {
+        if (args.length % 2 !== 0) {
+          throw new Error("wrong number of arguments for 'mset' command");
+        }
+        const ops = [];
+        for (let i = 0; i < args.length; i += 2) {
+          ops.push({ op: "upsert", key: args[i], value: args[i + 1] });
+        }
+        await store.transaction(ops);
+        return OK;
+      },
+    },
+    scan: {
+      arity: -2,
+      run: async ([cursorArg, ...options]) => {
+        const cursorId = integerArg(cursorArg);
+        let pattern = null;
+        let count = 10;
+        for (let i = 0; i < options.length; i += 2) {
+          const option = options[i].toUpperCase();
+          if (i + 1 >= options.length) {
+            throw new Error("syntax error");
+          }
+          if (option === "MATCH") {
+            pattern = options[i + 1];
+          } else if (option === "COUNT") {
+            count = integerArg(options[i + 1]);
+            if (count < 1) {
+              throw new Error("syntax error");
+            }
+          } else {
+            throw new Error("syntax error");
+          }
+        }
+
+        if (cursorId !== 0 && !cursors.has(cursorId)) {
+          throw new Error("invalid cursor");
+        }
+        const page = await store.scan({
+          prefix: pattern ? globPrefix(pattern) : "",
+          cursor: cursorId === 0 ? null : cursors.get(cursorId),
+          limit: Math.min(count, store.maxBatchSize),
+        });
+        cursors.delete(cursorId);
+
+        let next = 0;
+        if (page.cursor) {
+          next = nextCursor++;
+          cursors.set(next, page.cursor);
+          if (cursors.size > MAX_SCAN_CURSORS) {
+            cursors.delete(cursors.keys().next().value);
+          }
+        }
+        const matcher = pattern ? globToRegExp(pattern) : null;
+        const keys = page.items
+          .map((item) => item.key)
+          .filter((key) => !matcher || matcher.test(key));
+        return [String(next), keys];
+      },
+    },
+    info: {
+      arity: -1,
+      run: ([section = "default"]) => {
+        const wanted = section.toLowerCase();
+        const everything = ["all", "default", "everything"].includes(wanted);
+        const lines = [];
+        for (const [name, fields] of Object.entries(info())) {
+          if (!everything && name.toLowerCase() !== wanted) {
+            continue;
+          }
+          lines.push(`# ${name}`);
+          for (const [field, value] of Object.entries(fields)) {
+            lines.push(`${field}:${value}`);
+          }
+          lines.push("");
+        }
+        return lines.join("\r\n");
+      },
+    },
+    select: {
+      arity: 2,
+      run: ([db]) => {
+        if (db !== "0") {
+          throw new Error("DB index is out of range");
+        }
+        return OK;
+      },
+    },
+    command: {
+      // Clients like redis-cli ask for command docs on connect; an empty list is fine
+      arity: -1,
+      run: () => [],
+    },
+    quit: {
+      arity: -1,
+      run: () => OK,
+    },
+  };
+
+  /**
+   * Runs one command and returns its encoded reply.
+   */
+  const execute = async ([name, ...args]) => {
+    // Own properties only, so names like CONSTRUCTOR do not reach Object.prototype
+    const lowered = name.toLowerCase();
+    const command = Object.hasOwn(commands, lowered) ? commands[lowered] : null;
+    if (!command) {
+      const preview = args
+        .slice(0, 3)
+        .map((arg) => `'${arg}'`)
+        .join(" ");
+      return encodeResp({
+        error: `ERR unknown command '${name}', with args beginning with: ${preview}`,
+      });
+    }
+    const count = args.length + 1;
+    if (command.arity > 0 ? count !== command.arity : count < -command.arity) {
+      return encodeResp({
+        error: `ERR wrong number of arguments for '${name.toLowerCase()}' command`,
+      });
+    }
+
+    try {
+      return encodeResp(await command.run(args));
+    } catch (error) {
+      const prefix = error.code === "READ_ONLY" ? "READONLY" : "ERR";
+      return encodeResp({ error: `${prefix} ${error.message}` });
+    }
+  };
+
+  // Half-open, so commands piped in before the client closes its side still get replies
+  const connections = new Set();
+  const server = net.createServer({ allowHalfOpen: true }, (socket) => {
+    // Unparsed bytes are the first length bytes of a buffer that doubles as it fills,
+    // so a large command arriving in many chunks is not copied again for every chunk
+    let buffer = Buffer.alloc(4096);
+    let length = 0;
+    // Replies go out in the order commands came in
+    const connection = { socket, pending: Promise.resolve() };
+    connections.add(connection);
+    clients++;
+
+    // Replies with the error and closes the connection, reading nothing more from it
+    const drop = (message) => {
+      socket.pause();
+      socket.removeAllListeners("data");
+      buffer = null;
+      socket.end(encodeResp({ error: `ERR ${message}` }), () => socket.destroy());
+    };
+
+    socket.on("data", (chunk) => {
+      if (length + chunk.length > MAX_BUFFERED) {
+        drop("Protocol error: too big request");
+        return;
+      }
+      if (length + chunk.length > buffer.length) {
+        const grown = Buffer.allocUnsafe(Math.max(buffer.length * 2, length + chunk.length));
+        buffer.copy(grown, 0, 0, length);
+        buffer = grown;
+      }
+      chunk.copy(buffer, length);
+      length += chunk.length;
+
+      let parsed;
+      try {
+        parsed = readCommands(buffer.subarray(0, length));
+      } catch (error) {
+        drop(error.message);
+        return;
+      }
+      // The commands are strings by now, so their bytes can be overwritten
+      buffer.copy(buffer, 0, length - parsed.rest.length, length);
+      length = parsed.rest.length;
+
+      for (const args of parsed.commands) {
+        connection.pending = connection.pending.then(async () => {
+          if (socket.destroyed || socket.writableEnded) {
+            return;
+          }
+          const reply = await execute(args);
+          if (args[0].toLowerCase() === "quit") {
+            socket.end(reply);
+          } else if (!socket.destroyed && !socket.writableEnded) {
+            socket.write(reply);
+          }
+        });
+      }
+    });
+    socket.on("end", () => {
+      connection.pending.then(() => socket.end());
+    });
+    socket.on("close", () => {
+      connections.delete(connection);
+      clients--;
+    });
+    socket.on("error", () => {});
+  });
+
+  /**
+   * Ends every client connection once the replies to the commands already received
+   * are sent, so close() can complete on shutdown.
+   */
+  server.endConnections = () => {
+    for (const { socket, pending } of connections) {
+      pending.then(() => socket.end());
+    }
+  };
+  return server;
+}
+
+module.exports = { createRespServer, parseResp, encodeResp };
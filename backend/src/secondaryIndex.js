@@ -0,0 +1,180 @@
+const { ValidationError } = require("./errors");
+const SortedSet = require("./sortedSet");
+
+const PATH_SEGMENT = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]/y;
+const INDEXED_TYPES = ["string", "number", "boolean"];
+
+/**
+ * Parses a JSON path like "$.email", "$.address.city" or "$.tags[0]" into its
+ * property names and array indexes.
+ */
+function parsePath(jsonPath) {
+  if (typeof jsonPath !== "string" || !jsonPath.startsWith("$") || jsonPath === "$") {
+    throw new ValidationError(`Invalid index path: ${jsonPath}`);
+  }
+
+  const segments = [];
+  PATH_SEGMENT.lastIndex = 1;
+  while (PATH_SEGMENT.lastIndex < jsonPath.length) {
+    const match = PATH_SEGMENT.exec(jsonPath);
+    if (!match) {
+      throw new ValidationError(`Invalid index path: ${jsonPath}`);
+    }
+    segments.push(match[1] !== undefined ? match[1] : Number(match[2]));
+  }
+  return segments;
+}
+
+/**
+ * Orders indexed values: strings, then numbers, then booleans.
+ */
+function compareValues(a, b) {
+  const typeOrder =
+    INDEXED_TYPES.indexOf(typeof a) - INDEXED_TYPES.indexOf(typeof b);
+  if (typeOrder !== 0) {
+    return typeOrder;
+  }
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+class SecondaryIndex {
+  /**
+   * Creates an index from the value found at a JSON path to the keys holding it.
+   * Strings, numbers and booleans are indexed; entries whose value has anything else
+   * at the path, or nothing, are left out.
+   * @param {string} name - The index name.
+   * @param {string} jsonPath - Path of the indexed field, like "$.email".
+   */
+  constructor(name, jsonPath) {
+    this.name = name;
+    this.path = jsonPath;
+    this.segments = parsePath(jsonPath);
+    this.keysByValue = new Map(); // Indexed value to the Set of keys holding it
+    // Distinct indexed values in compareValues order, for range queries
+    this.sortedValues = new SortedSet(compareValues);
+  }
+
+  get size() {
+    let size = 0;
+    for (const keys of this.keysByValue.values()) {
+      size += keys.size;
+    }
+    return size;
+  }
+
+  /**
+   * Returns the indexed field of a stored value, or undefined if it is not indexable.
+   */
+  extract(value) {
+    for (const segment of this.segments) {
+      if (value === null || typeof value !== "object") {
+        return undefined;
+      }
+      value = value[segment];
+    }
+    return INDEXED_TYPES.includes(typeof value) &&
+      !(typeof value === "number" && Number.isNaN(value))
+      ? value
+      : undefined;
+  }
+
+  /**
+   * Indexes a key under the field of its stored value.
+   */
+  add(key, value) {
+    const field = this.extract(value);
+    if (field !== undefined && this.track(key, field)) {
+      this.sortedValues.add(field);
+    }
+  }
+
+  /**
+   * Adds a key to the keys holding a field, and returns whether the field is new.
+   */
+  track(key, field) {
+    const keys = this.keysByValue.get(field);
+    if (keys) {
+      keys.add(key);
+      return false;
+    }
+    this.keysByValue.set(field, new Set([key]));
+    return true;
+  }
+
+  /**
+   * Removes a key from the index, given the stored value it was indexed with.
+   */
+  remove(key, value) {
+    const field = this.extract(value);
+    const keys = field === undefined ? null : this.keysByValue.get(field);
+    if (!keys) {
+      return;
+    }
+
+    keys.delete(key);
+    if (keys.size === 0) {
+      this.keysByValue.delete(field);
+      this.sortedValues.delete(field);
+    }
+  }
+
+  /**
+   * Replaces the contents with the entries of a data map, sorting the distinct values
+   * once rather than inserting them one by one.
+   * @param {Map} data - Map of key to { value } items.
+   */
+  rebuild(data) {
+    this.keysByValue.clear();
+    for (const [key, item] of data.entries()) {
+      const field = this.extract(item.value);
+      if (field !== undefined) {
+        this.track(key, field);
+      }
+    }
+    this.sortedValues.load([...this.keysByValue.keys()].sort(compareValues));
+  }
+
+  /**
+   * Yields the keys matching a query, ordered by indexed value. An eq query matches
+   * one value; gt, gte, lt and lte bound a range and only match values of the same type.
+   * @param {object} query - { eq } or any of { gt, gte, lt, lte }.
+   */
+  *find({ eq, gt, gte, lt, lte }) {
+    if (eq !== undefined) {
+      yield* this.keysByValue.get(eq) || [];
+      return;
+    }
+
+    const lower = gt !== undefined ? gt : gte;
+    const upper = lt !== undefined ? lt : lte;
+    const bounds = [lower, upper].filter((bound) => bound !== undefined);
+    if (bounds.length === 0) {
+      throw new ValidationError("Query needs eq or a range (gt, gte, lt, lte)");
+    }
+    const type = typeof bounds[0];
+    if (type === "boolean" || bounds.some((bound) => typeof bound !== type)) {
+      throw new ValidationError("Range bounds must both be numbers or both be strings");
+    }
+
+    for (const field of this.sortedValues.values(lower)) {
+      if (typeof field !== type) {
+        if (compareValues(field, bounds[0]) < 0) {
+          continue;
+        }
+        break;
+      }
+      if (gt !== undefined && field === gt) {
+        continue;
+      }
+      if (upper !== undefined && (field > upper || (lt !== undefined && field === lt))) {
+        break;
+      }
+      yield* this.keysByValue.get(field);
+    }
+  }
+}
+
+module.exports = SecondaryIndex;
@@ -0,0 +1,220 @@
+const net = require("net");
+const { ReplicationFollower } = require("./replication");
+const { createRespServer } = require("./respServer");
+const { UnavailableError, ValidationError } = require("./errors");
+
+/**
+ * Tells whether a host only accepts connections from this machine.
+ */
+function isLoopback(host) {
+  return (
+    host === "localhost" || host === "::1" || (net.isIPv4(host) && host.startsWith("127."))
+  );
+}
+
+class Server {
+  /**
+   * Runs the HTTP API, and optionally the RESP server, in front of a store: it only
+   * listens once the store is initialized, and on shutdown drains in-flight requests
+   * before the store is flushed and its file lock released.
+   * @param {express.Application} app - The API; mount track() before its routes.
+   * @param {KVStore} store - The store behind the API.
+   * @param {object} options - port (default 5000) and host; respPort and respHost
+   *   (default 127.0.0.1) to also serve the store over RESP; authEnabled when the API
+   *   requires API keys, which the RESP server cannot check, so it then only listens on
+   *   a loopback address; replication, the
+   *   ReplicationSource or ReplicationFollower of this instance; drainTimeout in ms
+   *   (default 10000), after which requests still open are cut off.
+   */
+  constructor(
+    app,
+    store,
+    {
+      port = 5000,
+      host,
+      respPort = null,
+      respHost = "127.0.0.1",
+      authEnabled = false,
+      replication = null,
+      drainTimeout = 10000,
+    } = {}
+  ) {
+    this.app = app;
+    this.store = store;
+    this.port = port;
+    this.host = host;
+    this.respPort = respPort;
+    this.respHost = respHost;
+    this.authEnabled = authEnabled;
+    this.replication = replication;
+    this.drainTimeout = drainTimeout;
+    this.state = "stopped"; // "starting", "ready", "draining" or "stopped"
+    this.httpServer = null;
+    this.respServer = null;
+    this.inFlight = new Set(); // Responses not finished yet
+    this.drained = null; // Resolves once no request is in flight during shutdown
+    this.stopping = null; // Promise of the ongoing stop()
+  }
+
+  /**
+   * Middleware that keeps track of in-flight requests, and turns new requests away
+   * with SHUTTING_DOWN (503) once the server is draining.
+   */
+  track() {
+    return (req, res, next) => {
+      if (this.state === "draining") {
+        res.set("Connection", "close");
+        return next(new UnavailableError("Server is shutting down", "SHUTTING_DOWN"));
+      }
+      this.inFlight.add(res);
+      res.on("close", () => {
+        this.inFlight.delete(res);
+        if (this.drained && this.inFlight.size === 0) {
+          this.drained();
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * Reports whether the server is ready for traffic: the store is initialized, the
+   * server is not draining, and a follower has loaded a snapshot of its primary.
+   */
+  readiness() {
+    const checks = { server: this.state };
+    let ready = this.state === "ready";
+    if (this.replication instanceof ReplicationFollower) {
+      checks.replication = this.replication.state;
+      ready = ready && this.replication.replicationId !== null;
+    }
+    return { ready, checks };
+  }
+
+  /**
+   * Initializes the store, starts following the primary on a follower, then listens.
+   * @returns {Server} The started server.
+   */
+  async start() {
+    if (this.respPort !== null && this.authEnabled && !isLoopback(this.respHost)) {
+      throw new ValidationError(
+        `The RESP server does not check API keys, so it cannot listen on ${this.respHost} while auth is enabled`
+      );
+    }
+    this.state = "starting";
+    try {
+      await this.store.initialize();
+      if (this.replication instanceof ReplicationFollower) {
+        this.replication.start();
+      }
+
+      this.httpServer = await this.listen(this.app, this.port, this.host);
+      if (this.respPort !== null) {
+        this.respServer = await this.listen(
+          createRespServer(this.store),
+          this.respPort,
+          this.respHost
+        );
+      }
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    this.state = "ready";
+    return this;
+  }
+
+  /**
+   * Starts listening and resolves with the server once it is bound.
+   */
+  listen(listener, port, host) {
+    return new Promise((resolve, reject) => {
+      const server = listener.listen(port, host, () => {
+        server.off("error", reject);
+        resolve(server);
+      });
+      server.once("error", reject);
+    });
+  }
+
+  /**
+   * Stops accepting connections, waits up to drainTimeout for in-flight requests, then
+   * stops replication and cleans up the store, which writes out pending saves before
+   * releasing its lock. Event streams are ended right away, as they never finish on
+   * their own; their clients reconnect elsewhere.
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = this.executeStop();
+    }
+    return this.stopping;
+  }
+
+  async executeStop() {
+    this.state = "draining";
+
+    const closed = [this.httpServer, this.respServer]
+      .filter(Boolean)
+      .map((server) => new Promise((resolve) => server.close(resolve)));
+    if (this.httpServer) {
+      this.httpServer.closeIdleConnections();
+    }
+    if (this.respServer) {
+      this.respServer.endConnections();
+    }
+    for (const res of this.inFlight) {
+      if (String(res.getHeader("Content-Type")).startsWith("text/event-stream")) {
+        res.end();
+      }
+    }
+
+    if (this.inFlight.size > 0) {
+      let timer;
+      await Promise.race([
+        new Promise((resolve) => {
+          this.drained = resolve;
+        }),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, this.drainTimeout);
+        }),
+      ]);
+      clearTimeout(timer);
+    }
+    if (this.httpServer) {
+      this.httpServer.closeAllConnections();
+    }
+    await Promise.all(closed);
+
+    if (this.replication instanceof ReplicationFollower) {
+      await this.replication.stop();
+    }
+    await this.store.cleanup();
+    this.state = "stopped";
+  }
+
+  /**
+   * Stops the server on SIGTERM and SIGINT and sets the exit code. A second signal
+   * exits right away.
+   */
+  handleSignals() {
+    const onSignal = (signal) => {
+      if (this.stopping) {
+        console.error(`Received ${signal} again, exiting`);
+        process.exit(1);
+      }
+      console.log(`Received ${signal}, shutting down`);
+      this.stop()
+        .then(() => {
+          process.exitCode = 0;
+        })
+        .catch((error) => {
+          console.error("Error during shutdown:", error);
+          process.exitCode = 1;
+        });
+    };
+    process.on("SIGTERM", onSignal);
+    process.on("SIGINT", onSignal);
+  }
+}
+
+module.exports = Server;
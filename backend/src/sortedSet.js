@@ -0,0 +1,122 @@
+const MAX_LEVEL = 16; // Enough for billions of values at a promotion chance of 1/4
+
+/**
+ * Picks how many levels a new node spans: each further level with a chance of 1/4.
+ */
+function randomLevel() {
+  let level = 1;
+  while (level < MAX_LEVEL && Math.random() < 0.25) {
+    level++;
+  }
+  return level;
+}
+
+class SortedSet {
+  /**
+   * Creates a set of distinct values kept in order, as a skip list: adding, deleting
+   * and finding where to start iterating take O(log n) expected time.
+   * @param {Function} compare - Orders two values, like the comparator of Array#sort.
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.clear();
+  }
+
+  /**
+   * Adds a value. Returns false if an equal value is already in the set.
+   */
+  add(value) {
+    const update = this.predecessors(value);
+    const next = update[0].next[0];
+    if (next && this.compare(next.value, value) === 0) {
+      return false;
+    }
+
+    const level = randomLevel();
+    for (let i = this.level; i < level; i++) {
+      update[i] = this.head;
+    }
+    this.level = Math.max(this.level, level);
+    const node = { value, next: new Array(level) };
+    for (let i = 0; i < level; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+    }
+    this.size++;
+    return true;
+  }
+
+  /**
+   * Removes a value. Returns false if the set does not hold it.
+   */
+  delete(value) {
+    const update = this.predecessors(value);
+    const node = update[0].next[0];
+    if (!node || this.compare(node.value, value) !== 0) {
+      return false;
+    }
+
+    for (let i = 0; i < node.next.length; i++) {
+      update[i].next[i] = node.next[i];
+    }
+    while (this.level > 1 && !this.head.next[this.level - 1]) {
+      this.level--;
+    }
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Yields the values in order, starting at the first one not less than from, or at
+   * the first one if from is undefined.
+   */
+  *values(from) {
+    let node =
+      from === undefined ? this.head.next[0] : this.predecessors(from)[0].next[0];
+    while (node) {
+      yield node.value;
+      node = node.next[0];
+    }
+  }
+
+  /**
+   * Replaces the contents with values that are already sorted and distinct, in O(n).
+   */
+  load(sorted) {
+    this.clear();
+    const tails = new Array(MAX_LEVEL).fill(this.head); // Last node linked at each level
+    for (const value of sorted) {
+      const level = randomLevel();
+      const node = { value, next: new Array(level).fill(null) };
+      for (let i = 0; i < level; i++) {
+        tails[i].next[i] = node;
+        tails[i] = node;
+      }
+      this.level = Math.max(this.level, level);
+    }
+    this.size = sorted.length;
+  }
+
+  clear() {
+    this.head = { value: undefined, next: new Array(MAX_LEVEL).fill(null) };
+    this.level = 1; // Levels in use, counted from the bottom
+    this.size = 0;
+  }
+
+  /**
+   * Returns, for each level, the last node whose value is less than the given one.
+   */
+  predecessors(value) {
+    const update = new Array(MAX_LEVEL);
+    let node = this.head;
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.next[i] && this.compare(node.next[i].value, value) < 0) {
+        node = node.next[i];
+      }
+      update[i] = node;
+    }
+    return update;
+  }
+}
+
+module.exports = SortedSet;
@@ -0,0 +1,331 @@
+const request = require("supertest");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+// The app reads its data file from the environment when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "test-api-"));
+process.env.KV_DATA_FILE = path.join(dataDir, "data.json");
+const app = require("../api/index");
+
+describe("REST API", () => {
+  const { store } = app.locals;
+
+  beforeAll(async () => {
+    await store.initialize();
+  });
+
+  afterAll(async () => {
+    await store.cleanup();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("Versions", () => {
+    test("should upsert, update and compare-and-set", async () => {
+      const put = await request(app).put("/api/kv/v1").send({ value: { n: 1 } });
+      expect(put.status).toBe(200);
+      expect(put.body.version).toBe(1);
+
+      const update = await request(app).patch("/api/kv/v1").send({ value: { n: 2 } });
+      expect(update.body.version).toBe(2);
+
+      const cas = (version) =>
+        request(app).patch("/api/kv/v1").send({ value: { n: 3 }, version });
+      const stale = await cas(1);
+      expect(stale.status).toBe(409);
+      expect(stale.body.code).toBe("VERSION_MISMATCH");
+
+      expect((await cas(2)).body.version).toBe(3);
+      const read = await request(app).get("/api/kv/v1");
+      expect(read.body).toEqual({ value: { n: 3 }, version: 3 });
+
+      const missing = await request(app).patch("/api/kv/nope").send({ value: 1 });
+      expect(missing.status).toBe(404);
+
+      await request(app).delete("/api/kv/v1");
+      const recreated = await request(app).put("/api/kv/v1").send({ value: 1 });
+      expect(recreated.body.version).toBe(4);
+      expect((await cas(3)).status).toBe(409);
+    });
+  });
+
+  describe("Scan", () => {
+    test("should page through keys by prefix", async () => {
+      for (const key of ["scan:1", "scan:2", "scan:3"]) {
+        await request(app).put(`/api/kv/${key}`).send({ value: key });
+      }
+
+      const first = await request(app).get("/api/kv?prefix=scan:&limit=2");
+      expect(first.body.items).toEqual([{ key: "scan:1" }, { key: "scan:2" }]);
+      const second = await request(app).get(
+        `/api/kv?prefix=scan:&limit=2&values=true&cursor=${first.body.cursor}`
+      );
+      expect(second.body).toMatchObject({
+        items: [{ key: "scan:3", value: "scan:3", version: expect.any(Number) }],
+        cursor: null,
+      });
+      expect((await request(app).get("/api/kv?cursor=%%%")).status).toBe(400);
+    });
+  });
+
+  describe("Transactions", () => {
+    test("should apply every operation or none", async () => {
+      const applied = await request(app)
+        .post("/api/kv/tx")
+        .send({
+          ops: [
+            { op: "create", key: "t1", value: 1 },
+            { op: "create", key: "t2", value: 2 },
+            { op: "delete", key: "t2" },
+          ],
+        });
+      expect(applied.status).toBe(200);
+      const { version } = applied.body.results[0];
+      expect(applied.body.results).toEqual([
+        { key: "t1", version },
+        { key: "t2", version },
+        { key: "t2", version: null },
+      ]);
+      expect((await request(app).get("/api/kv/t2")).status).toBe(404);
+
+      const aborted = await request(app)
+        .post("/api/kv/tx")
+        .send({
+          ops: [
+            { op: "upsert", key: "t3", value: 3 },
+            { op: "create", key: "t1", value: 1 },
+          ],
+        });
+      expect(aborted.status).toBe(409);
+      expect(aborted.body).toMatchObject({
+        code: "TX_ABORTED",
+        failedOp: { index: 1, op: "create", key: "t1" },
+      });
+      expect((await request(app).get("/api/kv/t3")).status).toBe(404);
+    });
+  });
+
+  describe("Batch writes", () => {
+    test("should reject malformed items with 400", async () => {
+      const response = await request(app)
+        .post("/api/kv/batch")
+        .send({ items: [["ok", 1], 42] });
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("INVALID_ARGUMENT");
+      expect((await request(app).get("/api/kv/ok")).status).toBe(404);
+    });
+  });
+
+  describe("Batch reads and deletes", () => {
+    test("should report each key", async () => {
+      await request(app).put("/api/kv/b1").send({ value: "one" });
+
+      const read = await request(app)
+        .post("/api/kv/batch/get")
+        .send({ keys: ["b1", "b2"] });
+      expect(read.body.results).toEqual([
+        { key: "b1", status: "found", value: "one", version: expect.any(Number) },
+        { key: "b2", status: "missing" },
+      ]);
+
+      const deleted = await request(app)
+        .post("/api/kv/batch/delete")
+        .send({ keys: ["b1", "b2"] });
+      expect(deleted.body.results).toEqual([
+        { key: "b1", status: "deleted" },
+        { key: "b2", status: "missing" },
+      ]);
+    });
+  });
+
+  describe("TTL", () => {
+    test("should inspect, extend and persist a key's expiry", async () => {
+      await request(app).post("/api/kv").send({ key: "session", value: "abc", ttl: 60 });
+      expect((await request(app).get("/api/kv/session/ttl")).body).toEqual({ ttl: 60 });
+
+      const extended = await request(app).put("/api/kv/session/ttl").send({ ttl: 120 });
+      expect(extended.status).toBe(200);
+      expect((await request(app).get("/api/kv/session/ttl")).body).toEqual({ ttl: 120 });
+
+      expect((await request(app).delete("/api/kv/session/ttl")).status).toBe(200);
+      expect((await request(app).get("/api/kv/session/ttl")).body).toEqual({ ttl: null });
+      expect((await request(app).get("/api/kv/gone/ttl")).status).toBe(404);
+    });
+  });
+
+  describe("Change feed", () => {
+    let server;
+    let controller;
+
+    beforeEach(async () => {
+      server = app.listen(0, "127.0.0.1");
+      await new Promise((resolve) => server.once("listening", resolve));
+      controller = new AbortController();
+    });
+
+    afterEach(async () => {
+      controller.abort();
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    // Reads the event stream until it holds the text
+    const watch = async (query, headers = {}) => {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}/api/kv/watch${query}`,
+        { headers, signal: controller.signal }
+      );
+      const reader = response.body.getReader();
+      let text = "";
+      return {
+        response,
+        until: async (expected) => {
+          while (!text.includes(expected)) {
+            const { value } = await reader.read();
+            text += Buffer.from(value).toString();
+          }
+          return text;
+        },
+      };
+    };
+
+    test("should stream changes to the watched prefix", async () => {
+      const events = await watch("?prefix=feed:");
+      expect(events.response.headers.get("content-type")).toMatch("text/event-stream");
+
+      await request(app).put("/api/kv/other").send({ value: 1 });
+      await request(app).put("/api/kv/feed:1").send({ value: "hello" });
+      const text = await events.until("event: created");
+      expect(text).toMatch(/data: \{.*"key":"feed:1".*"value":"hello"/);
+      expect(text).not.toContain('"key":"other"');
+    });
+
+    test("should tell clients with an unusable Last-Event-ID to resync", async () => {
+      for (const headers of [{ "Last-Event-ID": "abc" }, { "Last-Event-ID": "99999" }]) {
+        const events = await watch("", headers);
+        expect(await events.until("event: resync")).toContain("event: resync");
+      }
+      const events = await watch("?since=not-a-number");
+      expect(await events.until("event: resync")).toContain("event: resync");
+    });
+  });
+
+  describe("Export and import", () => {
+    test("should round-trip NDJSON", async () => {
+      await request(app).put("/api/kv/exp:1").send({ value: { n: 1 } });
+
+      const exported = await request(app).get("/api/kv/export");
+      expect(exported.status).toBe(200);
+      expect(exported.headers["content-type"]).toMatch("application/x-ndjson");
+      expect(exported.text).toContain('{"key":"exp:1","value":{"n":1},"expiry":null}\n');
+
+      const imported = await request(app)
+        .post("/api/kv/import?onConflict=overwrite")
+        .set("Content-Type", "application/x-ndjson")
+        .send('{"key":"imp:1","value":"a","expiry":null}\n{"key":"exp:1","value":2}\n');
+      expect(imported.body).toEqual({ success: true, imported: 2, skipped: 0, expired: 0 });
+      expect((await request(app).get("/api/kv/exp:1")).body.value).toBe(2);
+
+      const failed = await request(app)
+        .post("/api/kv/import?onConflict=fail")
+        .set("Content-Type", "application/x-ndjson")
+        .send('{"key":"imp:1","value":"b"}\n');
+      expect(failed.status).toBe(409);
+      expect(failed.body.code).toBe("IMPORT_CONFLICT");
+    });
+
+    test("should not let the store-wide routes hide keys", async () => {
+      const response = await request(app).put("/api/kv/export").send({ value: 1 });
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("KEY_RESERVED");
+    });
+  });
+
+  describe("Namespaces", () => {
+    test("should create, use and drop a namespace", async () => {
+      const create = () => request(app).post("/api/ns").send({ name: "billing", quota: 4096 });
+      expect((await create()).status).toBe(201);
+      expect((await create()).status).toBe(409);
+
+      await request(app).put("/api/ns/billing/kv/invoice").send({ value: 42 });
+      expect((await request(app).get("/api/ns/billing/kv/invoice")).body.value).toBe(42);
+      expect((await request(app).get("/api/kv/invoice")).status).toBe(404);
+
+      const listed = await request(app).get("/api/ns");
+      expect(listed.body.namespaces).toMatchObject([
+        { name: "billing", quota: 4096, keys: 1 },
+      ]);
+
+      expect((await request(app).delete("/api/ns/billing")).status).toBe(200);
+      const dropped = await request(app).get("/api/ns/billing/kv/invoice");
+      expect(dropped.status).toBe(404);
+      expect(dropped.body.code).toBe("NAMESPACE_NOT_FOUND");
+    });
+  });
+
+  describe("Secondary indexes", () => {
+    test("should create an index and query through it", async () => {
+      await request(app).put("/api/kv/u1").send({ value: { email: "a@x.io", age: 30 } });
+      await request(app).put("/api/kv/u2").send({ value: { email: "b@x.io", age: 17 } });
+
+      const created = await request(app)
+        .post("/api/kv/indexes")
+        .send({ name: "byAge", path: "$.age" });
+      expect(created.status).toBe(201);
+      expect((await request(app).get("/api/kv/indexes")).body.indexes).toEqual([
+        { name: "byAge", path: "$.age", keys: 2 },
+      ]);
+
+      const adults = await request(app).get("/api/kv/query?index=byAge&gte=18");
+      expect(adults.body.items.map((item) => item.key)).toEqual(["u1"]);
+      const exact = await request(app).get("/api/kv/query?index=byAge&eq=17");
+      expect(exact.body.items.map((item) => item.key)).toEqual(["u2"]);
+      expect((await request(app).get("/api/kv/query?index=nope&eq=1")).status).toBe(404);
+
+      expect((await request(app).delete("/api/kv/indexes/byAge")).status).toBe(200);
+      expect((await request(app).get("/api/kv/indexes")).body.indexes).toEqual([]);
+    });
+  });
+
+  describe("Counters and JSON Patch", () => {
+    test("should increment and decrement counters", async () => {
+      const created = await request(app).post("/api/kv/hits/incr");
+      expect(created.body.value).toBe(1);
+      expect(created.body.version).toBeGreaterThanOrEqual(1);
+      const count = (op, by) => request(app).post(`/api/kv/hits/${op}`).send({ by });
+      expect((await count("incr", 5)).body.value).toBe(6);
+      expect((await count("decr", 2)).body.value).toBe(4);
+
+      await request(app).put("/api/kv/name").send({ value: "Alice" });
+      const notNumber = await request(app).post("/api/kv/name/incr");
+      expect(notNumber.status).toBe(400);
+      expect(notNumber.body.code).toBe("NOT_A_NUMBER");
+    });
+
+    test("should apply a JSON Patch", async () => {
+      const put = await request(app)
+        .put("/api/kv/doc")
+        .send({ value: { name: "Alice", tags: [] } });
+
+      const patched = await request(app)
+        .patch("/api/kv/doc")
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([
+          { op: "replace", path: "/name", value: "Bob" },
+          { op: "add", path: "/tags/-", value: "admin" },
+        ]));
+      expect(patched.status).toBe(200);
+      expect(patched.body).toMatchObject({
+        value: { name: "Bob", tags: ["admin"] },
+        version: put.body.version + 1,
+      });
+
+      const failed = await request(app)
+        .patch("/api/kv/doc")
+        .set("Content-Type", "application/json-patch+json")
+        .send(JSON.stringify([{ op: "test", path: "/name", value: "Alice" }]));
+      expect(failed.status).toBe(409);
+      expect(failed.body.code).toBe("PATCH_TEST_FAILED");
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const express = require("express");
+const request = require("supertest");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const createAuth = require("../src/middleware/auth");
+const createErrorHandler = require("../src/middleware/errors");
+
+describe("Auth middleware", () => {
+  let app;
+  let configPath;
+
+  beforeAll(() => {
+    configPath = path.join(os.tmpdir(), `test-auth-${Date.now()}.json`);
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        keys: [
+          { key: "admin-key", name: "admin", admin: true },
+          {
+            key: "billing-key",
+            name: "billing",
+            permissions: [
+              { prefix: "invoice:", actions: ["read", "write"] },
+              { namespace: "billing", actions: ["read", "write", "delete"] },
+            ],
+          },
+        ],
+      })
+    );
+
+    const { authenticate, authorize, requireAdmin } = createAuth({ configPath });
+    const readKey = authorize((req) => [{ action: "read", key: req.params.key }]);
+    const deleteKeys = authorize((req) =>
+      req.body.keys.map((key) => ({ action: "delete", key }))
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use("/api", authenticate);
+    app.get("/api/kv/:key", readKey, (req, res) => res.json({ ok: true }));
+    app.get("/api/ns/:ns/kv/:key", readKey, (req, res) => res.json({ ok: true }));
+    app.post("/api/kv/batch/delete", deleteKeys, (req, res) => res.json({ ok: true }));
+    app.post("/api/ns", requireAdmin, (req, res) => res.json({ ok: true }));
+    app.use(createErrorHandler());
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(configPath);
+  });
+
+  test("should reject requests without an API key", async () => {
+    const res = await request(app).get("/api/kv/invoice:1");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Missing API key", code: "MISSING_API_KEY" });
+    expect(res.headers["www-authenticate"]).toBe("Bearer");
+  });
+
+  test("should reject unknown API keys", async () => {
+    const res = await request(app)
+      .get("/api/kv/invoice:1")
+      .set("Authorization", "Bearer nope");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Invalid API key", code: "INVALID_API_KEY" });
+  });
+
+  test("should allow keys inside a granted prefix", async () => {
+    const res = await request(app)
+      .get("/api/kv/invoice:1")
+      .set("X-API-Key", "billing-key");
+    expect(res.status).toBe(200);
+  });
+
+  test("should forbid keys outside the granted prefixes", async () => {
+    const res = await request(app)
+      .get("/api/kv/user:1")
+      .set("Authorization", "Bearer billing-key");
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      error: "Not allowed to read key: user:1",
+      code: "FORBIDDEN",
+    });
+  });
+
+  test("should scope permissions to namespaces", async () => {
+    const allowed = await request(app)
+      .get("/api/ns/billing/kv/anything")
+      .set("X-API-Key", "billing-key");
+    expect(allowed.status).toBe(200);
+
+    const denied = await request(app)
+      .get("/api/ns/users/kv/anything")
+      .set("X-API-Key", "billing-key");
+    expect(denied.status).toBe(403);
+  });
+
+  test("should check every key of a batch", async () => {
+    const res = await request(app)
+      .post("/api/kv/batch/delete")
+      .set("X-API-Key", "billing-key")
+      .send({ keys: ["invoice:1"] });
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe("Not allowed to delete key: invoice:1");
+  });
+
+  test("should restrict admin routes to admin keys", async () => {
+    const denied = await request(app).post("/api/ns").set("X-API-Key", "billing-key");
+    expect(denied.status).toBe(403);
+
+    const allowed = await request(app).post("/api/ns").set("X-API-Key", "admin-key");
+    expect(allowed.status).toBe(200);
+  });
+
+  test("should reject an invalid config", () => {
+    const invalidPath = path.join(os.tmpdir(), `test-auth-invalid-${Date.now()}.json`);
+    fs.writeFileSync(invalidPath, JSON.stringify({ keys: [{ name: "nokey" }] }));
+    try {
+      expect(() => createAuth({ configPath: invalidPath })).toThrow(
+        expect.objectContaining({
+          name: "ValidationError",
+          message: "Invalid auth config: keys[0] has no key",
+          code: "INVALID_CONFIG",
+        })
+      );
+    } finally {
+      fs.rmSync(invalidPath, { force: true });
+    }
+  });
+
+  test("should let everything through without a config", async () => {
+    const { authenticate, requireAdmin } = createAuth();
+    const open = express();
+    open.use(authenticate);
+    open.post("/api/ns", requireAdmin, (req, res) => res.json({ ok: true }));
+
+    const res = await request(open).post("/api/ns");
+    expect(res.status).toBe(200);
+  });
+});
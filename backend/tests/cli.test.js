@@ -0,0 +1,149 @@
+const http = require("http");
+const fsp = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const stream = require("stream");
+const KVStore = require("../src/kvStore");
+const { run } = require("../src/cli");
+
+describe("kvstore CLI", () => {
+  let testFilePath;
+
+  // Collects what the CLI writes to a stream
+  const capture = () => {
+    const output = new stream.PassThrough();
+    output.text = "";
+    output.on("data", (chunk) => {
+      output.text += chunk;
+    });
+    return output;
+  };
+
+  // Runs the CLI against the test file and returns its exit code and output
+  const cli = async (...argv) => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await run(["--file", testFilePath, ...argv], {
+      stdout,
+      stderr,
+      stdin: stream.Readable.from([]),
+      env: {},
+    });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  beforeEach(() => {
+    testFilePath = path.join(os.tmpdir(), `test-cli-${Date.now()}.json`);
+  });
+
+  afterEach(async () => {
+    const files = ["", ".bak", ".batch", ".ndjson"].map((suffix) => `${testFilePath}${suffix}`);
+    for (const file of files) {
+      await fsp.rm(file, { force: true });
+    }
+  });
+
+  test("should set, get and delete keys", async () => {
+    expect(await cli("set", "user1", '{"name":"Alice"}')).toMatchObject({
+      code: 0,
+      stdout: "OK (version 1)\n",
+    });
+    expect((await cli("set", "greeting", "hello", "--ttl", "60")).code).toBe(0);
+
+    expect((await cli("get", "user1")).stdout).toBe('{\n  "name": "Alice"\n}\n');
+    expect((await cli("get", "greeting")).stdout).toBe("hello\n");
+    expect(JSON.parse((await cli("get", "user1", "--json")).stdout)).toEqual({
+      key: "user1",
+      value: { name: "Alice" },
+      version: 1,
+    });
+
+    expect((await cli("del", "user1")).stdout).toBe("Deleted user1\n");
+    expect(await cli("get", "user1")).toMatchObject({
+      code: 1,
+      stderr: "Error: Key not found\n",
+    });
+  });
+
+  test("should create keys from a batch file", async () => {
+    await cli("set", "a", "0");
+    const batchFile = `${testFilePath}.batch`;
+    await fsp.writeFile(batchFile, JSON.stringify([["a", 1], ["b", { n: 2 }, 60], ["c", 3]]));
+
+    const result = await cli("batch", batchFile, "--json");
+    expect(JSON.parse(result.stdout)).toEqual({ created: 2, failedKeys: ["a"] });
+    expect((await cli("get", "b")).stdout).toBe('{\n  "n": 2\n}\n');
+  });
+
+  test("should export, import and report stats", async () => {
+    await cli("set", "a", "1");
+    await cli("set", "b", "2");
+    const exportFile = `${testFilePath}.ndjson`;
+
+    expect(await cli("export", exportFile)).toMatchObject({
+      code: 0,
+      stderr: "Exported 2 entries\n",
+    });
+    await cli("del", "a");
+    expect((await cli("import", exportFile)).stdout).toBe(
+      "Imported 1, skipped 1, expired 0\n"
+    );
+
+    const stats = JSON.parse((await cli("stats", "--json")).stdout);
+    expect(stats).toMatchObject({ keys: 2, expiringKeys: 0, namespaces: [] });
+    expect((await cli("stats")).stdout).toContain("keys: 2\n");
+    expect((await cli("compact")).stdout).toBe("Compacted\n");
+  });
+
+  test("should respect the lock of a running store", async () => {
+    const store = new KVStore(testFilePath);
+    await store.initialize();
+    await store.create("user1", "Alice");
+    try {
+      expect((await cli("set", "user2", "Bob")).stderr).toBe(
+        "Error: File is being used by another process; use --url to go through the server\n"
+      );
+      // Reads open the file read-only, so they work next to the running store
+      expect((await cli("get", "user1")).stdout).toBe("Alice\n");
+    } finally {
+      await store.cleanup();
+    }
+  });
+
+  test("should reject bad usage", async () => {
+    expect((await cli()).code).toBe(2);
+    expect((await cli("frobnicate")).stderr).toMatch(/^Unknown command: frobnicate/);
+    expect((await cli("get")).code).toBe(2);
+    expect((await cli("set", "a", "1", "--ttl", "soon")).code).toBe(2);
+    expect((await cli("--help")).stdout).toMatch(/^Usage: kvstore/);
+  });
+
+  test("should talk to a server with --url", async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, apiKey: req.headers["x-api-key"] });
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/api/ns/billing/kv/invoice1") {
+        res.end(JSON.stringify({ value: { total: 42 }, version: 3 }));
+      } else {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: "Key not found" }));
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const found = await cli("--url", url, "-k", "secret", "-n", "billing", "get", "invoice1");
+      expect(found.stdout).toBe('{\n  "total": 42\n}\n');
+      const missing = await cli("--url", url, "get", "nope");
+      expect(missing).toMatchObject({ code: 1, stderr: "Error: Key not found\n" });
+      expect(requests).toEqual([
+        { method: "GET", url: "/api/ns/billing/kv/invoice1", apiKey: "secret" },
+        { method: "GET", url: "/api/kv/nope", apiKey: undefined },
+      ]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { storeOptionsFromEnv } = require("../src/config");
+
+describe("Store configuration", () => {
+  let configPath;
+
+  beforeEach(() => {
+    configPath = path.join(os.tmpdir(), `test-config-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    fs.rmSync(configPath, { force: true });
+  });
+
+  test("should read limits from environment variables", () => {
+    expect(
+      storeOptionsFromEnv({
+        KV_MAX_KEY_LENGTH: "128",
+        KV_MAX_VALUE_SIZE: "65536",
+        KV_LOCK_TIMEOUT: "5000",
+      })
+    ).toEqual({ maxKeyLength: 128, maxValueSize: 65536, lockTimeout: 5000 });
+    expect(storeOptionsFromEnv({})).toEqual({});
+  });
+
+  test("should read a config file, overridden by environment variables", () => {
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ maxKeyLength: 64, maxBatchSize: 500, appendOnly: true })
+    );
+
+    expect(
+      storeOptionsFromEnv({ KV_CONFIG: configPath, KV_MAX_BATCH_SIZE: "100" })
+    ).toEqual({ maxKeyLength: 64, maxBatchSize: 100, appendOnly: true });
+  });
+
+  test("should reject unknown options in the config file", () => {
+    fs.writeFileSync(configPath, JSON.stringify({ maxValuesize: 1024 }));
+    expect(() => storeOptionsFromEnv({ KV_CONFIG: configPath })).toThrow(
+      expect.objectContaining({
+        message: expect.stringContaining("unknown option maxValuesize"),
+        code: "INVALID_CONFIG",
+      })
+    );
+  });
+});
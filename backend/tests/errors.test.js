@@ -0,0 +1,70 @@
+const express = require("express");
+const request = require("supertest");
+const createErrorHandler = require("../src/middleware/errors");
+const {
+  ValidationError,
+  LimitError,
+  NotFoundError,
+  ConflictError,
+  LockError,
+  CapacityError,
+  ReadOnlyError,
+  CorruptionError,
+  EncryptionError,
+  AuthenticationError,
+} = require("../src/errors");
+
+describe("Error handler middleware", () => {
+  const buildApp = (error) => {
+    const app = express();
+    app.use(express.json());
+    app.post("/api/kv", (req, res, next) => next(error));
+    app.use(createErrorHandler());
+    return app;
+  };
+
+  test("should map store error codes to HTTP statuses", async () => {
+    const cases = [
+      [new NotFoundError("Key not found"), 404],
+      [new NotFoundError("Key not found (expired)", "KEY_EXPIRED"), 404],
+      [new ConflictError("Key already exists", "KEY_EXISTS"), 409],
+      [new LimitError("Value size cannot exceed 16KB", "VALUE_TOO_LARGE"), 413],
+      [new LockError("Failed to acquire lock for key: a", "LOCK_TIMEOUT"), 423],
+      [new CapacityError("Storage quota exceeded", "QUOTA_EXCEEDED"), 507],
+      [new CapacityError("Data file would exceed 100 bytes limit", "STORE_FULL"), 507],
+      [new ReadOnlyError("Store is read-only"), 403],
+      [new ValidationError("TTL must be a positive number of seconds"), 400],
+      [new AuthenticationError("Missing API key", "MISSING_API_KEY"), 401],
+      [new CorruptionError("Checksum mismatch: the file is corrupt", "CHECKSUM_MISMATCH"), 500],
+      [new EncryptionError("Encryption is not enabled", "ENCRYPTION_DISABLED"), 501],
+    ];
+
+    for (const [error, status] of cases) {
+      const response = await request(buildApp(error)).post("/api/kv");
+      expect(response.status).toBe(status);
+      expect(response.body).toEqual({ error: error.message, code: error.code });
+    }
+  });
+
+  test("should return the failed operation of a transaction", async () => {
+    const error = new ConflictError("Operation 1 failed: Key not found", "TX_ABORTED");
+    error.failedOp = { index: 1, op: "update", key: "a", reason: "Key not found" };
+
+    const response = await request(buildApp(error)).post("/api/kv");
+    expect(response.status).toBe(409);
+    expect(response.body.failedOp).toEqual(error.failedOp);
+  });
+
+  test("should give body parser and unexpected errors a code", async () => {
+    const malformed = await request(buildApp(null))
+      .post("/api/kv")
+      .set("Content-Type", "application/json")
+      .send("{not json");
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe("INVALID_JSON");
+
+    const response = await request(buildApp(new Error("Disk on fire"))).post("/api/kv");
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: "Disk on fire", code: "INTERNAL_ERROR" });
+  });
+});
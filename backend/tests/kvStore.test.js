@@ -1,14 +1,28 @@
 const KVStore = require("../src/kvStore");
+const {
+  KVStoreError,
+  ValidationError,
+  LimitError,
+  NotFoundError,
+  ConflictError,
+  LockError,
+  CapacityError,
+} = require("../src/errors");
 console.log(typeof KVStore);
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
 const os = require("os");
+const stream = require("stream");
 
 describe("KVStore", () => {
   let store;
   let testFilePath;
 
+  // Reads a saved data file without its checksum footer
+  const readSaved = async (file) =>
+    (await fsp.readFile(file, "utf8")).replace(/\n#sha256:[0-9a-f]{64}\n$/, "");
+
   beforeEach(async () => {
     testFilePath = path.join(os.tmpdir(), `test-kvstore-${Date.now()}.json`);
     store = new KVStore(testFilePath, { maxFileSize: 1024 * 1024 }); 
@@ -20,6 +34,7 @@ describe("KVStore", () => {
       await fsp.unlink(testFilePath);
     } catch (error) {
     }
+    await fsp.rm(`${testFilePath}.bak`, { force: true });
   });
 
   describe("Initialization", () => {
@@ -74,9 +89,1177 @@ describe("KVStore", () => {
       const immediate = await store.read(key);
       expect(immediate).toEqual(value);
 
-      await new Promise((resolve) => setTimeout(resolve, 1100));
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+
+      await expect(store.read(key)).rejects.toThrow("Key not found");
+    });
+  });
+
+  describe("Versioned Writes", () => {
+    test("should start at version 1 and bump it on update", async () => {
+      expect(await store.create("test", { data: "v1" })).toBe(1);
+      expect(await store.update("test", { data: "v2" })).toBe(2);
+
+      const entry = await store.readEntry("test");
+      expect(entry.value).toEqual({ data: "v2" });
+      expect(entry.version).toBe(2);
+    });
+
+    test("should reject update of a missing key", async () => {
+      await expect(store.update("missing", { data: "x" })).rejects.toThrow(
+        "Key not found"
+      );
+    });
+
+    test("should keep the expiry on update", async () => {
+      await store.create("test", { data: "v1" }, 60);
+      const { expiry } = await store.readEntry("test");
+      await store.update("test", { data: "v2" });
+      expect((await store.readEntry("test")).expiry).toBe(expiry);
+    });
+
+    test("should upsert new and existing keys", async () => {
+      expect(await store.upsert("test", { data: "v1" })).toBe(1);
+      expect(await store.upsert("test", { data: "v2" }, 60)).toBe(2);
+
+      const entry = await store.readEntry("test");
+      expect(entry.value).toEqual({ data: "v2" });
+      expect(entry.expiry).toBeGreaterThan(Date.now());
+    });
+
+    test("should compare-and-set only at the expected version", async () => {
+      await store.create("test", { data: "v1" });
+      expect(await store.compareAndSet("test", 1, { data: "v2" })).toBe(2);
+
+      await expect(
+        store.compareAndSet("test", 1, { data: "stale" })
+      ).rejects.toMatchObject({ code: "VERSION_MISMATCH" });
+      expect(await store.read("test")).toEqual({ data: "v2" });
+    });
+
+    test("should compare-and-set a missing key with version 0", async () => {
+      expect(await store.compareAndSet("test", 0, { data: "v1" })).toBe(1);
+      await expect(
+        store.compareAndSet("test", 0, { data: "again" })
+      ).rejects.toMatchObject({ code: "VERSION_MISMATCH" });
+    });
+
+    test("should not drop the existing entry when create fails", async () => {
+      await store.create("test", { data: "original" });
+      await expect(store.create("test", { data: "duplicate" })).rejects.toThrow(
+        "Key already exists"
+      );
+      expect(await store.read("test")).toEqual({ data: "original" });
+    });
+
+    test("should persist versions", async () => {
+      await store.create("test", { data: "v1" });
+      await store.update("test", { data: "v2" });
+
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      expect((await reloaded.readEntry("test")).version).toBe(2);
+    });
+
+    test("should keep versions increasing across deletes", async () => {
+      await store.create("test", { data: "v1" });
+      await store.update("test", { data: "v2" });
+      await store.delete("test");
+
+      expect(await store.create("test", { data: "again" })).toBe(3);
+      await expect(
+        store.compareAndSet("test", 1, { data: "stale" })
+      ).rejects.toMatchObject({ code: "VERSION_MISMATCH" });
+
+      const results = await store.transaction([
+        { op: "update", key: "test", value: 4 },
+        { op: "delete", key: "test" },
+        { op: "create", key: "test", value: 5 },
+      ]);
+      expect(results.map((result) => result.version)).toEqual([4, null, 5]);
+
+      await store.delete("test");
+      await store.flush();
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      expect(await reloaded.upsert("test", { data: "after restart" })).toBe(6);
+      expect(reloaded.data.size).toBe(1);
+    });
+  });
+
+  describe("Counters", () => {
+    test("should initialize and increment counters", async () => {
+      expect(await store.incr("hits")).toEqual({ value: 1, version: 1 });
+      expect(await store.incr("hits", 5)).toEqual({ value: 6, version: 2 });
+      expect(await store.decr("hits", 2)).toEqual({ value: 4, version: 3 });
+      expect(await store.decr("stock")).toEqual({ value: -1, version: 1 });
+      expect(await store.read("hits")).toBe(4);
+    });
+
+    test("should apply concurrent increments atomically", async () => {
+      await Promise.all(Array.from({ length: 20 }, () => store.incr("hits")));
+      expect(await store.read("hits")).toBe(20);
+    });
+
+    test("should keep the expiry of an existing counter", async () => {
+      await store.create("hits", 10, 60);
+      const { expiry } = await store.readEntry("hits");
+      await store.incr("hits");
+      expect((await store.readEntry("hits")).expiry).toBe(expiry);
+    });
+
+    test("should reject non-numeric values and increments", async () => {
+      await store.create("name", "Alice");
+      await expect(store.incr("name")).rejects.toThrow("Value is not a number");
+      await expect(store.incr("hits", "2")).rejects.toThrow(
+        "Increment must be a finite number"
+      );
+      await expect(store.decr("hits", Infinity)).rejects.toThrow(
+        "Decrement must be a finite number"
+      );
+    });
+  });
+
+  describe("JSON Patch", () => {
+    test("should apply patch operations to a stored value", async () => {
+      await store.create("user:1", {
+        name: "Alice",
+        email: "alice@example.com",
+        tags: ["admin"],
+        address: { city: "Paris" },
+      });
+
+      const result = await store.patch("user:1", [
+        { op: "test", path: "/name", value: "Alice" },
+        { op: "replace", path: "/email", value: "alice@example.org" },
+        { op: "add", path: "/tags/-", value: "billing" },
+        { op: "add", path: "/tags/0", value: "owner" },
+        { op: "remove", path: "/tags/1" },
+        { op: "copy", from: "/address/city", path: "/city" },
+        { op: "move", from: "/address", path: "/home" },
+      ]);
+
+      expect(result).toEqual({
+        value: {
+          name: "Alice",
+          email: "alice@example.org",
+          tags: ["owner", "billing"],
+          city: "Paris",
+          home: { city: "Paris" },
+        },
+        version: 2,
+      });
+      expect(await store.read("user:1")).toEqual(result.value);
+    });
+
+    test("should unescape JSON Pointer tokens", async () => {
+      await store.create("doc", { "a/b": 1, "m~n": 2 });
+      const { value } = await store.patch("doc", [
+        { op: "replace", path: "/a~1b", value: 3 },
+        { op: "remove", path: "/m~0n" },
+      ]);
+      expect(value).toEqual({ "a/b": 3 });
+    });
+
+    test("should leave the value unchanged when an operation fails", async () => {
+      await store.create("user:1", { name: "Alice", age: 30 });
+
+      await expect(
+        store.patch("user:1", [
+          { op: "replace", path: "/age", value: 31 },
+          { op: "test", path: "/name", value: "Bob" },
+        ])
+      ).rejects.toMatchObject({
+        code: "PATCH_TEST_FAILED",
+        message: "Patch operation 1 failed: Test failed at path: /name",
+      });
+      await expect(
+        store.patch("user:1", [{ op: "remove", path: "/missing" }])
+      ).rejects.toMatchObject({
+        code: "PATCH_INVALID",
+        message: "Patch operation 0 failed: Path not found: /missing",
+      });
+      await expect(
+        store.patch("user:1", [{ op: "rename", path: "/name" }])
+      ).rejects.toMatchObject({ code: "PATCH_INVALID" });
+
+      expect(await store.readEntry("user:1")).toMatchObject({
+        value: { name: "Alice", age: 30 },
+        version: 1,
+      });
+    });
+
+    test("should enforce the value size limit and require the key", async () => {
+      await store.create("doc", { data: "" });
+      await expect(
+        store.patch("doc", [
+          { op: "replace", path: "/data", value: "x".repeat(17 * 1024) },
+        ])
+      ).rejects.toThrow("Value size cannot exceed 16KB");
+      await expect(store.patch("missing", [])).rejects.toThrow("Key not found");
+    });
+  });
+
+  describe("Transactions", () => {
+    test("should apply mixed operations together", async () => {
+      await store.create("a", { n: 1 });
+      await store.create("b", { n: 2 });
+
+      const results = await store.transaction([
+        { op: "create", key: "c", value: { n: 3 } },
+        { op: "update", key: "a", value: { n: 10 }, ifVersion: 1 },
+        { op: "delete", key: "b" },
+        { op: "upsert", key: "c", value: { n: 30 } },
+      ]);
+
+      expect(results).toEqual([
+        { key: "c", version: 1 },
+        { key: "a", version: 2 },
+        { key: "b", version: null },
+        { key: "c", version: 2 },
+      ]);
+      expect(await store.read("a")).toEqual({ n: 10 });
+      expect(await store.read("c")).toEqual({ n: 30 });
+      await expect(store.read("b")).rejects.toThrow("Key not found");
+    });
+
+    test("should apply nothing when one operation fails", async () => {
+      await store.create("a", { n: 1 });
+
+      const error = await store
+        .transaction([
+          { op: "upsert", key: "b", value: { n: 2 } },
+          { op: "update", key: "a", value: { n: 10 }, ifVersion: 5 },
+        ])
+        .catch((e) => e);
+
+      expect(error.code).toBe("TX_ABORTED");
+      expect(error.failedOp).toMatchObject({ index: 1, op: "update", key: "a" });
+      expect(error.failedOp.reason).toMatch("Version mismatch");
+      expect(await store.read("a")).toEqual({ n: 1 });
+      await expect(store.read("b")).rejects.toThrow("Key not found");
+    });
+
+    test("should delete keys created or updated earlier in the transaction", async () => {
+      await store.create("a", { n: 1 });
+      const size = store.currentSize;
+
+      const results = await store.transaction([
+        { op: "create", key: "t1", value: 1 },
+        { op: "create", key: "t2", value: 2 },
+        { op: "delete", key: "t2" },
+        { op: "update", key: "a", value: { n: 2 } },
+        { op: "delete", key: "a" },
+      ]);
+
+      expect(results.map((result) => result.key)).toEqual(["t1", "t2", "t2", "a", "a"]);
+      expect(await store.read("t1")).toBe(1);
+      await expect(store.read("t2")).rejects.toThrow("Key not found");
+      await expect(store.read("a")).rejects.toThrow("Key not found");
+      expect(store.currentSize).toBe(
+        size - store.estimateEntrySize("a", { n: 1 }) + store.estimateEntrySize("t1", 1)
+      );
+
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      expect([...reloaded.data.keys()]).toEqual(["t1"]);
+    });
+
+    test("should roll back when applying an operation throws", async () => {
+      await store.create("a", { n: 1 });
+      const size = store.currentSize;
+      const setEntry = store.setEntry.bind(store);
+      const spy = jest.spyOn(store, "setEntry").mockImplementation((key, entry) => {
+        if (key === "b") {
+          throw new Error("Disk on fire");
+        }
+        setEntry(key, entry);
+      });
+
+      await expect(
+        store.transaction([
+          { op: "update", key: "a", value: { n: 2 } },
+          { op: "create", key: "b", value: { n: 3 } },
+        ])
+      ).rejects.toThrow("Disk on fire");
+      spy.mockRestore();
+
+      expect(await store.read("a")).toEqual({ n: 1 });
+      await expect(store.read("b")).rejects.toThrow("Key not found");
+      expect(store.currentSize).toBe(size);
+    });
+
+    test("should check the ifExists precondition", async () => {
+      await store.create("a", { n: 1 });
+      await expect(
+        store.transaction([
+          { op: "upsert", key: "a", value: { n: 2 }, ifExists: false },
+        ])
+      ).rejects.toMatchObject({ code: "TX_ABORTED" });
+    });
+
+    test("should reject malformed operations before locking", async () => {
+      await expect(
+        store.transaction([{ op: "rename", key: "a" }])
+      ).rejects.toMatchObject({
+        code: "TX_INVALID",
+        failedOp: { index: 0, reason: "Unknown operation: rename" },
+      });
+    });
+
+    test("should persist all operations in one save", async () => {
+      const saveSpy = jest.spyOn(store, "saveData");
+      await store.transaction([
+        { op: "create", key: "a", value: { n: 1 } },
+        { op: "create", key: "b", value: { n: 2 } },
+      ]);
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      expect(await reloaded.read("b")).toEqual({ n: 2 });
+    });
+  });
+
+  describe("Scan", () => {
+    beforeEach(async () => {
+      const items = [];
+      for (let i = 0; i < 25; i++) {
+        items.push([`user:${String(i).padStart(2, "0")}`, { id: i }, null]);
+      }
+      items.push(["order:1", { id: 1 }, null]);
+      await store.batchCreate(items);
+    });
+
+    test("should list keys in order with a prefix", async () => {
+      const page = await store.scan({ prefix: "order:" });
+      expect(page.items).toEqual([{ key: "order:1" }]);
+      expect(page.cursor).toBeNull();
+    });
+
+    test("should walk all keys page by page", async () => {
+      const keys = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const page = await store.scan({ prefix: "user:", cursor, limit: 10 });
+        keys.push(...page.items.map((item) => item.key));
+        cursor = page.cursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(keys).toHaveLength(25);
+      expect(keys).toEqual([...keys].sort());
+    });
+
+    test("should keep the cursor stable when keys change", async () => {
+      const first = await store.scan({ prefix: "user:", limit: 10 });
+      await store.delete("user:10");
+      await store.create("user:09a", { id: "new" });
+      await store.create("user:05a", { id: "new" });
+
+      const second = await store.scan({
+        prefix: "user:",
+        cursor: first.cursor,
+        limit: 10,
+      });
+      expect(second.items[0].key).toBe("user:09a");
+      expect(second.items[1].key).toBe("user:11");
+    });
+
+    test("should keep keys in order across writes, deletes and reloads", async () => {
+      await store.delete("user:00");
+      await store.transaction([
+        { op: "create", key: "user:25", value: { id: 25 } },
+        { op: "delete", key: "user:01" },
+      ]);
+      await store.create("a", { id: "first" });
+      await store.flush();
+
+      const expected = [...store.data.keys()].sort();
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      for (const scanned of [store, reloaded]) {
+        const keys = [];
+        let cursor = null;
+        do {
+          const page = await scanned.scan({ cursor, limit: 7 });
+          keys.push(...page.items.map((item) => item.key));
+          cursor = page.cursor;
+        } while (cursor);
+        expect(keys).toEqual(expected);
+      }
+    });
+
+    test("should include values and skip expired entries", async () => {
+      await store.create("temp:1", { id: 1 }, 1);
+      await store.create("temp:2", { id: 2 });
+      store.data.get("temp:1").expiry = Date.now() - 1;
+
+      const page = await store.scan({ prefix: "temp:", includeValues: true });
+      expect(page.items).toEqual([
+        { key: "temp:2", value: { id: 2 }, expiry: null, version: 1 },
+      ]);
+    });
+
+    test("should reject an invalid limit", async () => {
+      await expect(store.scan({ limit: 0 })).rejects.toThrow(
+        "Limit must be an integer"
+      );
+    });
+
+    test("should reject a malformed cursor", async () => {
+      for (const cursor of ["%%%", "_w", ["a", "b"]]) {
+        await expect(store.scan({ cursor })).rejects.toMatchObject({
+          message: "Invalid cursor",
+          code: "INVALID_ARGUMENT",
+        });
+      }
+    });
+  });
+
+  describe("Active Expiry", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should sweep expired keys in expiry order", async () => {
+      await store.create("short", { data: "1" }, 10);
+      await store.create("long", { data: "2" }, 60);
+      await store.create("forever", { data: "3" });
+      const sizeBefore = store.currentSize;
+
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      expect(await store.sweepExpired()).toBe(1);
+
+      expect(store.data.has("short")).toBe(false);
+      expect(store.data.has("long")).toBe(true);
+      expect(store.currentSize).toBeLessThan(sizeBefore);
+    });
+
+    test("should skip stale index entries after a TTL change", async () => {
+      await store.create("key", { data: "1" }, 10);
+      await store.upsert("key", { data: "2" }, 60);
+
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      expect(await store.sweepExpired()).toBe(0);
+      expect(await store.read("key")).toEqual({ data: "2" });
+    });
+
+    test("should stop when the sweep budget is used up", async () => {
+      const items = [];
+      for (let i = 0; i < 10; i++) {
+        items.push([`key${i}`, { data: i }, 10]);
+      }
+      await store.batchCreate(items);
+
+      let now = Date.now() + 30 * 1000;
+      jest.spyOn(Date, "now").mockImplementation(() => (now += 10));
+      store.expirySweepBudget = 35;
+
+      const removed = await store.sweepExpired();
+      expect(removed).toBeGreaterThan(0);
+      expect(removed).toBeLessThan(10);
+      expect(await store.sweepExpired()).toBeGreaterThan(0);
+    });
+
+    test("should persist swept keys", async () => {
+      await store.create("short", { data: "1" }, 10);
+      await store.create("forever", { data: "2" });
+
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await store.sweepExpired();
+      await store.saveData();
+
+      const saved = JSON.parse(await readSaved(testFilePath));
+      expect(Object.keys(saved)).toEqual(["\u0000versionFloor", "forever"]);
+    });
+
+    test("should let a write reuse the space of expired keys", async () => {
+      const limited = new KVStore(testFilePath, {
+        maxFileSize: 200,
+        expirySweepInterval: 0,
+      });
+      await limited.loadData();
+      await limited.create("a", { data: "x".repeat(100) }, 10);
+
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await limited.sweepExpired();
+      await expect(
+        limited.create("b", { data: "x".repeat(100) })
+      ).resolves.toBe(2); // Above the version of the swept key
+    });
+  });
+
+  describe("TTL Management", () => {
+    test("should report the remaining TTL", async () => {
+      await store.create("session", { user: 1 }, 60);
+      await store.create("forever", { user: 2 });
+
+      expect(await store.ttl("session")).toBe(60);
+      expect(await store.ttl("forever")).toBeNull();
+      await expect(store.ttl("missing")).rejects.toThrow("Key not found");
+    });
+
+    test("should set and extend the expiry", async () => {
+      await store.create("session", { user: 1 });
+      await store.expire("session", 30);
+      expect(await store.ttl("session")).toBe(30);
+
+      await store.expire("session", 120);
+      expect(await store.ttl("session")).toBe(120);
+      await expect(store.expire("session", -1)).rejects.toThrow(
+        "TTL must be a positive number of seconds"
+      );
+    });
+
+    test("should set the expiry to a timestamp", async () => {
+      await store.create("session", { user: 1 });
+      const expiry = Date.now() + 45 * 1000;
+      expect(await store.expireAt("session", expiry)).toBe(expiry);
+      expect(await store.ttl("session")).toBe(45);
+
+      await store.expireAt("session", Date.now() - 1);
+      await expect(store.read("session")).rejects.toThrow("Key not found");
+    });
+
+    test("should remove the expiry on persist", async () => {
+      await store.create("session", { user: 1 }, 60);
+      await store.persist("session");
+      expect(await store.ttl("session")).toBeNull();
+    });
+
+    test("should slide the expiry forward when reading with touch", async () => {
+      await store.create("session", { user: 1 }, 60);
+      const { expiry } = await store.readEntry("session");
+
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await store.read("session");
+      expect((await store.readEntry("session")).expiry).toBe(expiry);
+
+      await store.read("session", { touch: true });
+      expect((await store.readEntry("session")).expiry).toBe(now + 90 * 1000);
+      spy.mockRestore();
+    });
+
+    test("should touch on every read in touchOnRead mode", async () => {
+      const touching = new KVStore(testFilePath, {
+        touchOnRead: true,
+        expirySweepInterval: 0,
+      });
+      await touching.loadData();
+      await touching.create("session", { user: 1 }, 60);
+
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await touching.read("session");
+      expect(await touching.ttl("session")).toBe(60);
+      spy.mockRestore();
+    });
+  });
+
+  describe("Change Events", () => {
+    test("should emit created, updated and deleted events", async () => {
+      const changes = [];
+      store.on("change", (change) => changes.push(change));
+
+      await store.create("key", { data: "1" });
+      await store.update("key", { data: "2" });
+      await store.delete("key");
+
+      expect(changes.map((change) => change.type)).toEqual([
+        "created",
+        "updated",
+        "deleted",
+      ]);
+      expect(changes[1]).toMatchObject({
+        seq: 2,
+        key: "key",
+        value: { data: "2" },
+        version: 2,
+      });
+      expect(typeof changes[2].timestamp).toBe("number");
+    });
+
+    test("should emit events from batch operations", async () => {
+      const created = [];
+      const deleted = [];
+      store.on("created", (change) => created.push(change.key));
+      store.on("deleted", (change) => deleted.push(change.key));
+
+      await store.batchCreate([
+        ["key1", { data: "1" }, null],
+        ["key2", { data: "2" }, null],
+      ]);
+      await store.batchDelete(["key1", "key2"]);
+
+      expect(created).toEqual(["key1", "key2"]);
+      expect(deleted).toEqual(["key1", "key2"]);
+    });
+
+    test("should emit expired events from compaction", async () => {
+      await store.create("short", { data: "1" }, 10);
+      const expired = [];
+      store.on("expired", (change) => expired.push(change.key));
+
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await store.compact();
+      spy.mockRestore();
+
+      expect(expired).toEqual(["short"]);
+    });
+
+    test("should carry the previous value in deleted and expired events", async () => {
+      const removed = [];
+      store.on("deleted", (change) => removed.push([change.type, change.key, change.value]));
+      store.on("expired", (change) => removed.push([change.type, change.key, change.value]));
+      await store.create("gone", { data: "1" });
+      await store.create("batch", { data: "2" });
+      await store.create("short", { data: "3" }, 10);
+      await store.create("swept", { data: "4" }, 10);
+
+      await store.delete("gone");
+      await store.batchDelete(["batch"]);
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      await expect(store.read("short")).rejects.toThrow("Key not found (expired)");
+      await store.compact();
+      spy.mockRestore();
+
+      expect(removed).toEqual([
+        ["deleted", "gone", { data: "1" }],
+        ["deleted", "batch", { data: "2" }],
+        ["expired", "short", { data: "3" }],
+        ["expired", "swept", { data: "4" }],
+      ]);
+    });
+
+    test("should replay changes after a sequence number", async () => {
+      await store.create("user:1", { data: "1" });
+      await store.create("order:1", { data: "2" });
+      await store.create("user:2", { data: "3" });
+
+      const missed = store.changesSince(1, "user:");
+      expect(missed.map((change) => change.key)).toEqual(["user:2"]);
+      expect(store.changesSince(3)).toEqual([]);
+      expect(store.changesSince(10)).toBeNull();
+      expect(store.changesSince(NaN)).toBeNull();
+      expect(store.changesSince(-1)).toBeNull();
+    });
+
+    test("should ask for a resync once history has been trimmed", async () => {
+      store.changeHistorySize = 2;
+      for (let i = 0; i < 5; i++) {
+        await store.create(`key${i}`, { data: i });
+      }
+
+      expect(store.changesSince(1)).toBeNull();
+      expect(store.changesSince(3).map((change) => change.seq)).toEqual([4, 5]);
+    });
+  });
+
+  describe("Export and Import", () => {
+    const collect = async (writeTo) => {
+      const chunks = [];
+      const sink = new stream.Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          callback();
+        },
+      });
+      await writeTo(sink);
+      return chunks.join("");
+    };
+
+    test("should export live entries as NDJSON", async () => {
+      await store.create("user1", { name: "Alice" });
+      await store.create("user2", { name: "Bob" }, 60);
+      await store.create("gone", { name: "Eve" }, 60);
+      store.data.get("gone").expiry = Date.now() - 1;
+
+      let count;
+      const output = await collect(async (sink) => {
+        count = await store.export(sink);
+      });
+      const records = output
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+
+      expect(count).toBe(2);
+      expect(records.map((record) => record.key)).toEqual(["user1", "user2"]);
+      expect(records[0]).toEqual({ key: "user1", value: { name: "Alice" }, expiry: null });
+      expect(records[1].expiry).toBeGreaterThan(Date.now());
+    });
+
+    test("should round-trip through export and import", async () => {
+      for (let i = 0; i < 600; i++) {
+        await store.upsert(`key${i}`, { data: i });
+      }
+      const output = await collect((sink) => store.export(sink));
+
+      const target = new KVStore(`${testFilePath}.import`, { expirySweepInterval: 0 });
+      const summary = await target.import(stream.Readable.from([output]));
+      expect(summary).toEqual({ imported: 600, skipped: 0, expired: 0 });
+      expect(await target.read("key599")).toEqual({ data: 599 });
+
+      const saved = JSON.parse(await readSaved(`${testFilePath}.import`));
+      expect(Object.keys(saved)).toHaveLength(600);
+      await fsp.unlink(`${testFilePath}.import`);
+    });
+
+    test("should handle conflicts according to onConflict", async () => {
+      await store.create("user1", { name: "Alice" });
+      const input = () =>
+        stream.Readable.from([
+          '{"key":"user1","value":{"name":"Alicia"},"expiry":null}\n',
+          '{"key":"user2","value":{"name":"Bob"},"expiry":null}\n',
+          `{"key":"old","value":1,"expiry":${Date.now() - 1000}}\n`,
+        ]);
+
+      expect(await store.import(input())).toEqual({
+        imported: 1,
+        skipped: 1,
+        expired: 1,
+      });
+      expect(await store.read("user1")).toEqual({ name: "Alice" });
+
+      await store.import(input(), { onConflict: "overwrite" });
+      expect(await store.read("user1")).toEqual({ name: "Alicia" });
+
+      await expect(
+        store.import(input(), { onConflict: "fail" })
+      ).rejects.toMatchObject({ code: "IMPORT_CONFLICT" });
+    });
+
+    test("should reject malformed records with their line number", async () => {
+      const input = stream.Readable.from([
+        '{"key":"user1","value":1}\n',
+        "not json\n",
+      ]);
+      await expect(store.import(input)).rejects.toThrow(
+        "Invalid JSON at line 2"
+      );
+
+      const tooLong = stream.Readable.from([
+        JSON.stringify({ key: "a".repeat(33), value: 1 }),
+      ]);
+      await expect(store.import(tooLong)).rejects.toThrow(
+        "Invalid record at line 1: Key cannot exceed 32 characters"
+      );
+    });
+
+    test("should decode characters split across chunks", async () => {
+      const line = Buffer.from('{"key":"greeting","value":"héllo€"}\n', "utf8");
+      const split = line.indexOf("€") + 1; // Inside the three bytes of the euro sign
+      const input = stream.Readable.from([
+        line.subarray(0, split),
+        line.subarray(split),
+      ]);
+
+      expect(await store.import(input)).toMatchObject({ imported: 1 });
+      expect(await store.read("greeting")).toBe("héllo€");
+    });
+  });
+
+  describe("Namespaces", () => {
+    afterEach(async () => {
+      await store.cleanup();
+      await fsp.rm(store.namespaceDir, { recursive: true, force: true });
+    });
+
+    test("should keep namespaces separate from the root keyspace", async () => {
+      await store.createNamespace("billing");
+      const billing = store.namespace("billing");
+
+      await billing.create("invoice1", { total: 10 });
+      await billing.batchCreate([["invoice2", { total: 20 }, null]]);
+      await store.create("invoice1", { total: 99 });
+
+      expect(await billing.read("invoice1")).toEqual({ total: 10 });
+      expect(await store.read("invoice1")).toEqual({ total: 99 });
+      await billing.delete("invoice1");
+      expect(await store.read("invoice1")).toEqual({ total: 99 });
+    });
+
+    test("should apply per-namespace limits and default TTL", async () => {
+      await store.createNamespace("sessions", {
+        maxValueSize: 100,
+        quota: 300,
+        defaultTtl: 30,
+      });
+      const sessions = store.namespace("sessions");
+
+      await expect(
+        sessions.create("big", { data: "x".repeat(100) })
+      ).rejects.toThrow("Value size cannot exceed 100 bytes");
+
+      await sessions.create("s1", { user: 1 });
+      expect(await sessions.ttl("s1")).toBe(30);
+
+      await sessions.create("s2", { data: "x".repeat(60) });
+      await sessions.create("s3", { data: "x".repeat(60) });
+      await expect(
+        sessions.create("s4", { data: "x".repeat(60) })
+      ).rejects.toThrow(/exceed.*limit/);
+    });
+
+    test("should list, reopen and drop namespaces", async () => {
+      await store.createNamespace("billing", { quota: 1024 });
+      await store.namespace("billing").create("invoice1", { total: 10 });
+      await expect(store.createNamespace("billing")).rejects.toThrow(
+        "Namespace already exists"
+      );
+      await expect(store.createNamespace("bad name")).rejects.toThrow(
+        "Namespace name must be"
+      );
+
+      await store.cleanup();
+      store = new KVStore(testFilePath, { maxFileSize: 1024 * 1024 });
+      await store.initialize();
+
+      expect(store.listNamespaces()).toEqual([
+        {
+          name: "billing",
+          maxValueSize: null,
+          quota: 1024,
+          defaultTtl: null,
+          keys: 1,
+          size: expect.any(Number),
+          evictedKeys: 0,
+        },
+      ]);
+      expect(await store.namespace("billing").read("invoice1")).toEqual({
+        total: 10,
+      });
+
+      await store.dropNamespace("billing");
+      expect(store.listNamespaces()).toEqual([]);
+      expect(() => store.namespace("billing")).toThrow(
+        "Namespace not found: billing"
+      );
+    });
+  });
+
+  describe("Client Quotas", () => {
+    test("should enforce a client quota on create", async () => {
+      const options = { owner: "key:billing", quota: 150 };
+      await store.create("a", { data: "x".repeat(50) }, null, options);
+      await expect(
+        store.create("b", { data: "x".repeat(50) }, null, options)
+      ).rejects.toMatchObject({ code: "QUOTA_EXCEEDED" });
+
+      await store.create("b", { data: "x".repeat(50) }, null, {
+        owner: "key:other",
+        quota: 150,
+      });
+    });
+
+    test("should enforce a client quota on every write", async () => {
+      const writer = { owner: "key:billing", quota: 150 };
+      const big = { data: "x".repeat(150) };
+      await store.create("a", { data: "x".repeat(50) }, null, writer);
+
+      const writes = [
+        () => store.upsert("a", big, null, writer),
+        () => store.update("a", big, writer),
+        () => store.compareAndSet("a", 1, big, writer),
+        () => store.patch("a", [{ op: "add", path: "/more", value: big.data }], writer),
+        () => store.transaction([{ op: "upsert", key: "b", value: big }], writer),
+        () =>
+          store.import(stream.Readable.from([JSON.stringify({ key: "b", value: big })]), writer),
+      ];
+      for (const write of writes) {
+        await expect(write()).rejects.toMatchObject({ code: "QUOTA_EXCEEDED" });
+      }
+      expect(await store.read("a")).toEqual({ data: "x".repeat(50) });
+      await expect(store.read("b")).rejects.toThrow("Key not found");
+
+      // A write without an owner keeps the entry's owner and the default quota
+      store.clientQuota = 150;
+      await expect(store.update("a", big)).rejects.toMatchObject({
+        code: "QUOTA_EXCEEDED",
+      });
+      await store.update("a", { data: "x" });
+      expect(store.data.get("a").owner).toBe("key:billing");
+    });
+
+    test("should enforce a client quota on the whole batch", async () => {
+      const items = [
+        ["a", { data: "x".repeat(50) }, null],
+        ["b", { data: "x".repeat(50) }, null],
+      ];
+      await expect(
+        store.batchCreate(items, { owner: "key:billing", quota: 150 })
+      ).rejects.toMatchObject({ code: "QUOTA_EXCEEDED" });
+      expect(store.data.size).toBe(0);
+    });
+
+    test("should release quota when entries are deleted", async () => {
+      const options = { owner: "key:billing" };
+      store.clientQuota = 150;
+      await store.create("a", { data: "x".repeat(50) }, null, options);
+      await store.delete("a");
+      expect(store.ownerUsage.get("key:billing")).toBeUndefined();
+
+      await store.create("b", { data: "x".repeat(50) }, null, options);
+    });
+
+    test("should rebuild client usage on load", async () => {
+      await store.create("a", { data: "1" }, null, { owner: "key:billing" });
+      const usage = store.ownerUsage.get("key:billing");
+
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadData();
+      expect(reloaded.ownerUsage.get("key:billing")).toBe(usage);
+    });
+  });
+
+  describe("Secondary Indexes", () => {
+    afterEach(async () => {
+      await fsp.rm(store.indexFile, { force: true });
+    });
+
+    const keysOf = (result) => result.items.map((item) => item.key);
+
+    test("should find entries by an indexed field", async () => {
+      await store.create("user:1", { name: "Alice", email: "alice@example.com" });
+      await store.create("user:2", { name: "Bob", email: "bob@example.com" });
+      await store.create("user:3", { name: "Carol" });
+      await store.createIndex("byEmail", "$.email");
+
+      const result = await store.query("byEmail", { eq: "bob@example.com" });
+      expect(result.items).toEqual([
+        {
+          key: "user:2",
+          value: { name: "Bob", email: "bob@example.com" },
+          version: 1,
+        },
+      ]);
+      expect(store.listIndexes()).toEqual([
+        { name: "byEmail", path: "$.email", keys: 2 },
+      ]);
+    });
+
+    test("should keep indexes up to date on writes, deletes and expiry", async () => {
+      await store.createIndex("byCity", "$.address.city");
+      await store.create("a", { address: { city: "Paris" } });
+      await store.create("b", { address: { city: "Paris" } }, 10);
+      await store.create("c", { address: { city: "Oslo" } });
+
+      await store.update("a", { address: { city: "Rome" } });
+      await store.delete("c");
+      expect(keysOf(await store.query("byCity", { eq: "Paris" }))).toEqual(["b"]);
+      expect(keysOf(await store.query("byCity", { eq: "Rome" }))).toEqual(["a"]);
+      expect(keysOf(await store.query("byCity", { eq: "Oslo" }))).toEqual([]);
+
+      const now = Date.now();
+      const spy = jest.spyOn(Date, "now").mockReturnValue(now + 30 * 1000);
+      expect(keysOf(await store.query("byCity", { eq: "Paris" }))).toEqual([]);
+      await store.sweepExpired();
+      expect(store.listIndexes()[0].keys).toBe(1);
+      spy.mockRestore();
+    });
+
+    test("should answer range queries in field order", async () => {
+      await store.createIndex("byAge", "$.age");
+      await store.createIndex("byName", "$.name");
+      const people = [
+        ["p1", "Dave", 40],
+        ["p2", "Alice", 25],
+        ["p3", "Carol", 31],
+        ["p4", "Bob", "unknown"],
+      ];
+      for (const [key, name, age] of people) {
+        await store.create(key, { name, age });
+      }
+
+      const find = async (name, query) => keysOf(await store.query(name, query));
+      expect(await find("byAge", { gte: 25, lt: 40 })).toEqual(["p2", "p3"]);
+      expect(await find("byAge", { gt: 25 })).toEqual(["p3", "p1"]);
+      expect(await find("byName", { gt: "Alice", lte: "Carol" })).toEqual(["p4", "p3"]);
+      expect(await find("byAge", { lte: 40, limit: 1 })).toEqual(["p2"]);
+      await expect(store.query("byAge", { gt: 1, lt: "z" })).rejects.toThrow(
+        "Range bounds must both be numbers or both be strings"
+      );
+      await expect(store.query("byAge", {})).rejects.toThrow(/needs eq or a range/);
+    });
+
+    test("should keep range queries ordered across many values", async () => {
+      await store.createIndex("byScore", "$.score");
+      for (let i = 0; i < 300; i++) {
+        await store.upsert(`k${i}`, { score: (i * 37) % 101 });
+      }
+      for (let i = 0; i < 300; i += 3) {
+        await store.delete(`k${i}`);
+      }
+
+      const expected = [];
+      for (let i = 0; i < 300; i++) {
+        const score = (i * 37) % 101;
+        if (i % 3 !== 0 && score > 20 && score <= 60) {
+          expected.push({ key: `k${i}`, score });
+        }
+      }
+      expected.sort((a, b) => a.score - b.score || a.key.localeCompare(b.key));
+      const query = { gt: 20, lte: 60, limit: 1000 };
+      const scoresOf = (result) => result.items.map((item) => item.value.score);
+      const live = await store.query("byScore", query);
+      expect(scoresOf(live)).toEqual(expected.map((item) => item.score));
+      expect(new Set(keysOf(live))).toEqual(new Set(expected.map((item) => item.key)));
+
+      await store.flush();
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadIndexes();
+      await reloaded.loadData();
+      const rebuilt = await reloaded.query("byScore", query);
+      expect(scoresOf(rebuilt)).toEqual(scoresOf(live));
+    });
+
+    test("should rebuild indexes on load and drop them", async () => {
+      await store.createIndex("byTag", "$.tags[0]");
+      await store.create("a", { tags: ["red", "big"] });
+
+      const reloaded = new KVStore(testFilePath);
+      await reloaded.loadIndexes();
+      await reloaded.loadData();
+      expect(keysOf(await reloaded.query("byTag", { eq: "red" }))).toEqual(["a"]);
+
+      await reloaded.dropIndex("byTag");
+      await expect(reloaded.query("byTag", { eq: "red" })).rejects.toThrow(
+        "Index not found: byTag"
+      );
+    });
+
+    test("should reject invalid and duplicate indexes", async () => {
+      await expect(store.createIndex("bad", "email")).rejects.toThrow(
+        "Invalid index path: email"
+      );
+      await expect(store.createIndex("bad", "$.a..b")).rejects.toThrow(
+        "Invalid index path"
+      );
+      await store.createIndex("byEmail", "$.email");
+      await expect(store.createIndex("byEmail", "$.mail")).rejects.toThrow(
+        "Index already exists: byEmail"
+      );
+    });
+  });
+
+  describe("Eviction", () => {
+    const value = { data: "x".repeat(100) };
+    const cache = async (evictionPolicy) => {
+      const evicting = new KVStore(testFilePath, {
+        maxFileSize: 3 * store.estimateEntrySize("a", value),
+        evictionPolicy,
+        expirySweepInterval: 0,
+      });
+      await evicting.loadData();
+      return evicting;
+    };
+
+    test("should reject writes over the limit with noeviction", async () => {
+      const evicting = await cache("noeviction");
+      for (const key of ["a", "b", "c"]) {
+        await evicting.create(key, value);
+      }
+      await expect(evicting.create("d", value)).rejects.toThrow(/exceed.*limit/);
+      expect(evicting.evictedKeys).toBe(0);
+    });
+
+    test("should reject an unknown eviction policy", () => {
+      expect(
+        () => new KVStore(testFilePath, { evictionPolicy: "random" })
+      ).toThrow("Invalid eviction policy: random");
+    });
+
+    test("should evict the least recently used key with allkeys-lru", async () => {
+      const evicting = await cache("allkeys-lru");
+      const evicted = [];
+      evicting.on("evicted", (change) => evicted.push(change.key));
+      for (const key of ["a", "b", "c"]) {
+        await evicting.create(key, value);
+      }
+      await evicting.read("a");
+
+      await evicting.create("d", value);
+      expect(evicted).toEqual(["b"]);
+      expect(evicting.evictedKeys).toBe(1);
+      expect([...evicting.data.keys()].sort()).toEqual(["a", "c", "d"]);
+    });
+
+    test("should evict the least frequently used key with allkeys-lfu", async () => {
+      const evicting = await cache("allkeys-lfu");
+      for (const key of ["a", "b", "c"]) {
+        await evicting.create(key, value);
+      }
+      await evicting.read("a");
+      await evicting.read("a");
+      await evicting.batchRead(["b"]);
+
+      await evicting.create("d", value);
+      expect([...evicting.data.keys()].sort()).toEqual(["a", "b", "d"]);
+    });
+
+    test("should let access counts decay with allkeys-lfu", async () => {
+      const evicting = await cache("allkeys-lfu");
+      for (const key of ["a", "b", "c"]) {
+        await evicting.create(key, value);
+      }
+      for (let i = 0; i < 7; i++) {
+        await evicting.read("a");
+      }
+
+      // Three minutes later, a's count of 8 has halved three times
+      const later = Date.now() + 3 * 60000;
+      const spy = jest.spyOn(Date, "now").mockReturnValue(later);
+      await evicting.read("b");
+      await evicting.read("c");
+      await evicting.create("d", value);
+      expect([...evicting.data.keys()].sort()).toEqual(["b", "c", "d"]);
+      spy.mockRestore();
+    });
+
+    test("should only evict keys with a TTL with volatile-lru", async () => {
+      const evicting = await cache("volatile-lru");
+      await evicting.create("a", value);
+      await evicting.create("b", value, 60);
+      await evicting.create("c", value);
+
+      await evicting.create("d", value);
+      expect([...evicting.data.keys()].sort()).toEqual(["a", "c", "d"]);
+      await expect(evicting.create("e", value)).rejects.toThrow(/exceed.*limit/);
+    });
+
+    test("should evict the key closest to expiry with volatile-ttl", async () => {
+      const evicting = await cache("volatile-ttl");
+      await evicting.create("a", value, 300);
+      await evicting.create("b", value, 60);
+      await evicting.create("c", value, 120);
+
+      await evicting.create("d", value);
+      expect([...evicting.data.keys()].sort()).toEqual(["a", "c", "d"]);
+      expect(await evicting.ttl("c")).toBe(120);
+      expect(evicting.expiryIndex.peek().key).toBe("c");
+    });
 
-      await expect(store.read(key)).rejects.toThrow("Key not found");
+    test("should not evict keys written by the same transaction", async () => {
+      const evicting = await cache("allkeys-lru");
+      await evicting.create("a", value);
+      await evicting.create("b", value);
+
+      await evicting.transaction([
+        { op: "update", key: "a", value: { data: "y".repeat(100) } },
+        { op: "create", key: "c", value },
+        { op: "create", key: "d", value },
+      ]);
+      expect([...evicting.data.keys()].sort()).toEqual(["a", "c", "d"]);
     });
   });
 
@@ -88,6 +1271,16 @@ describe("KVStore", () => {
       );
     });
 
+    test("should reject keys reserved for the REST routes or the data file", async () => {
+      for (const key of ["watch", "export", "query", "indexes", "\u0000versionFloor"]) {
+        await expect(store.upsert(key, 1)).rejects.toMatchObject({
+          message: `Key is reserved: ${key}`,
+          code: "KEY_RESERVED",
+        });
+      }
+      await store.create("exports", 1);
+    });
+
     test("should enforce value size limit", async () => {
       const largeValue = { data: "x".repeat(16 * 1024 + 1) };
       await expect(store.create("test", largeValue)).rejects.toThrow(
@@ -101,6 +1294,86 @@ describe("KVStore", () => {
         "Key already exists"
       );
     });
+
+    test("should take limits from options", async () => {
+      const limited = new KVStore(testFilePath, {
+        maxKeyLength: 4,
+        maxValueSize: 32,
+        maxBatchSize: 2,
+        lockTimeout: 50,
+      });
+
+      await expect(limited.create("abcde", 1)).rejects.toThrow(
+        "Key cannot exceed 4 characters"
+      );
+      await expect(limited.create("a", "x".repeat(40))).rejects.toThrow(
+        "Value size cannot exceed 32 bytes"
+      );
+      await expect(limited.batchCreate([["a", 1], ["b", 2], ["c", 3]])).rejects.toThrow(
+        "Batch size cannot exceed 2 items"
+      );
+
+      limited.lock.set("busy", true);
+      const started = Date.now();
+      await expect(limited.acquireLock("busy")).rejects.toThrow(
+        "Failed to acquire lock for key: busy"
+      );
+      expect(Date.now() - started).toBeLessThan(500);
+
+      expect(() => new KVStore(testFilePath, { maxKeyLength: 0 })).toThrow(
+        "maxKeyLength must be a positive integer"
+      );
+      expect(() => new KVStore(testFilePath, { maxValueSize: "big" })).toThrow(
+        "maxValueSize must be a positive integer"
+      );
+    });
+
+    test("should reject missing and unserializable values", async () => {
+      const circular = {};
+      circular.self = circular;
+
+      await expect(store.create("a", undefined)).rejects.toMatchObject({
+        message: "Value is required",
+        code: "INVALID_ARGUMENT",
+      });
+      await expect(store.upsert("a", () => {})).rejects.toThrow(
+        "Value cannot be stored as JSON"
+      );
+      await expect(store.create("a", circular)).rejects.toBeInstanceOf(ValidationError);
+      await expect(
+        store.transaction([{ op: "create", key: "a" }])
+      ).rejects.toMatchObject({
+        code: "TX_INVALID",
+        failedOp: { reason: "Value is required" },
+      });
+    });
+
+    test("should throw typed errors with stable codes", async () => {
+      await store.create("test", 1);
+      store.lock.set("busy", true);
+      store.lockTimeout = 20;
+      store.maxFileSize = 64;
+
+      const cases = [
+        [() => store.create("test", 2), ConflictError, "KEY_EXISTS"],
+        [() => store.read("missing"), NotFoundError, "KEY_NOT_FOUND"],
+        [() => store.create("a".repeat(33), 1), LimitError, "KEY_TOO_LONG"],
+        [() => store.create("big", "x".repeat(17 * 1024)), LimitError, "VALUE_TOO_LARGE"],
+        [() => store.create(42, 1), ValidationError, "INVALID_ARGUMENT"],
+        [() => store.compareAndSet("test", 5, 2), ConflictError, "VERSION_MISMATCH"],
+        [() => store.read("busy"), LockError, "LOCK_TIMEOUT"],
+        [() => store.create("full", "x".repeat(100)), CapacityError, "STORE_FULL"],
+        [() => store.namespace("nope"), NotFoundError, "NAMESPACE_NOT_FOUND"],
+      ];
+      for (const [operation, type, code] of cases) {
+        const error = await Promise.resolve()
+          .then(operation)
+          .catch((caught) => caught);
+        expect(error).toBeInstanceOf(type);
+        expect(error).toBeInstanceOf(KVStoreError);
+        expect(error.code).toBe(code);
+      }
+    });
   });
 
   describe("Batch Operations", () => {
@@ -127,6 +1400,63 @@ describe("KVStore", () => {
       );
     });
 
+    test("should reject batch items that are not arrays", async () => {
+      const items = [["key1", { data: "1" }], "key2", null];
+      await expect(store.batchCreate(items)).rejects.toMatchObject({
+        message: "Item 1 must be a [key, value, ttl] array",
+        code: "INVALID_ARGUMENT",
+      });
+      expect(store.data.has("key1")).toBe(false);
+    });
+
+    test("should read several keys with per-key status", async () => {
+      await store.create("found", { data: "1" });
+      await store.create("expired", { data: "2" }, 60);
+      store.data.get("expired").expiry = Date.now() - 1;
+
+      const results = await store.batchRead([
+        "found",
+        "missing",
+        "expired",
+        "a".repeat(33),
+      ]);
+      expect(results).toEqual([
+        { key: "found", status: "found", value: { data: "1" }, version: 1 },
+        { key: "missing", status: "missing" },
+        { key: "expired", status: "expired" },
+        {
+          key: "a".repeat(33),
+          status: "invalid",
+          error: "Key cannot exceed 32 characters",
+        },
+      ]);
+      expect(store.data.has("expired")).toBe(false);
+    });
+
+    test("should delete several keys with per-key status", async () => {
+      await store.create("key1", { data: "1" });
+      await store.create("key2", { data: "2" });
+
+      const results = await store.batchDelete(["key1", "key2", "key1", "nope"]);
+      expect(results.map((result) => result.status)).toEqual([
+        "deleted",
+        "deleted",
+        "missing",
+        "missing",
+      ]);
+      await expect(store.read("key2")).rejects.toThrow("Key not found");
+    });
+
+    test("should enforce batch size limit on batch read and delete", async () => {
+      const keys = Array(1001).fill("key");
+      await expect(store.batchRead(keys)).rejects.toThrow(
+        "Batch size cannot exceed 1000 items"
+      );
+      await expect(store.batchDelete(keys)).rejects.toThrow(
+        "Batch size cannot exceed 1000 items"
+      );
+    });
+
     test("should handle partial failures in batch", async () => {
       await store.create("existing", { data: "original" });
 
@@ -141,6 +1471,45 @@ describe("KVStore", () => {
     });
   });
 
+  describe("Statistics", () => {
+    test("should count reads, expired keys and saves", async () => {
+      await store.create("user1", "Alice");
+      await store.create("session", "abc", 1);
+      await store.read("user1");
+      await expect(store.read("missing")).rejects.toThrow("Key not found");
+
+      const expiry = store.data.get("session").expiry;
+      jest.spyOn(Date, "now").mockReturnValue(expiry + 1);
+      try {
+        await expect(store.read("session")).rejects.toThrow("Key not found (expired)");
+      } finally {
+        jest.restoreAllMocks();
+      }
+      await store.flush();
+
+      const stats = store.stats();
+      expect(stats).toMatchObject({
+        keys: 1,
+        expiredKeys: 1,
+        reads: { hits: 1, misses: 2 },
+        locks: { waits: 0, waitMs: 0 },
+      });
+      expect(stats.saves.count).toBeGreaterThanOrEqual(2);
+      expect(stats.saves.failures).toBe(0);
+    });
+
+    test("should count lock waits and failed saves", async () => {
+      await store.create("counter", 0);
+      await Promise.all([store.incr("counter"), store.incr("counter")]);
+      expect(store.stats().locks.waits).toBe(1);
+      expect(store.stats().locks.waitMs).toBeGreaterThan(0);
+
+      store.maxFileSize = 10;
+      await expect(store.saveData()).rejects.toThrow(/exceed.*limit/);
+      expect(store.stats().saves.failures).toBe(1);
+    });
+  });
+
   describe("Concurrency", () => {
     test("should handle concurrent operations safely", async () => {
       const operations = Array(100)
@@ -171,6 +1540,18 @@ describe("KVStore", () => {
       const final = await store.read("concurrent");
       expect(final.count).toBe(100);
     });
+    test("should not let user keys block store-wide operations", async () => {
+      const limited = new KVStore(testFilePath, { lockTimeout: 50 });
+      await limited.loadData();
+      for (const key of ["namespaces", "indexes", "compact"]) {
+        await limited.acquireLock(key);
+      }
+
+      await limited.createIndex("byName", "$.name");
+      await limited.dropIndex("byName");
+      await limited.compact();
+      expect([...limited.lock.keys()]).toEqual(["namespaces", "indexes", "compact"]);
+    });
   });
 
   describe("File Operations", () => {
@@ -186,6 +1567,702 @@ describe("KVStore", () => {
 
         await expect(store.create('onemore', largeValue)).rejects.toThrow(/exceed.*limit/);
       });
+
+    test("should never run a debounced save next to another save", async () => {
+      await store.create("a", 1);
+      let running = 0;
+      let overlapping = 0;
+      const writeData = store.writeData.bind(store);
+      jest.spyOn(store, "writeData").mockImplementation(async () => {
+        overlapping += running;
+        running++;
+        try {
+          await writeData();
+        } finally {
+          running--;
+        }
+      });
+
+      jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"] });
+      try {
+        await store.delete("a"); // Debounces its save
+        jest.advanceTimersByTime(1000);
+        await Promise.all([store.create("b", 2), store.create("c", 3)]);
+        await store.delete("b");
+        jest.advanceTimersByTime(1000);
+        await store.cleanup();
+      } finally {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+      }
+
+      expect(overlapping).toBe(0);
+      expect(store.savePromise).toBeNull();
+      expect(JSON.parse(await readSaved(testFilePath))).toEqual({
+        "\u0000versionFloor": 2,
+        c: expect.objectContaining({ value: 3 }),
+      });
+    });
+  });
+
+  describe("Corruption Recovery", () => {
+    let warn;
+
+    const reload = async (options = {}) => {
+      const reloaded = new KVStore(testFilePath, { expirySweepInterval: 0, ...options });
+      await reloaded.loadData();
+      return reloaded;
+    };
+    const removeQuarantined = async (recovered) => {
+      if (recovered.lastRecovery && recovered.lastRecovery.quarantinedAs) {
+        await fsp.rm(recovered.lastRecovery.quarantinedAs, { force: true });
+      }
+    };
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      warn.mockRestore();
+      await fsp.rm(`${testFilePath}.tmp`, { force: true });
+      await fsp.rm(`${testFilePath}.log`, { force: true });
+    });
+
+    test("should checksum every save", async () => {
+      await store.create("user1", { name: "Alice" });
+
+      const content = await fsp.readFile(testFilePath, "utf8");
+      expect(content).toMatch(/\n#sha256:[0-9a-f]{64}\n$/);
+      expect(await store.verify()).toEqual({
+        ok: true,
+        file: testFilePath,
+        checksum: "valid",
+        keys: 1,
+        error: null,
+      });
+    });
+
+    test("should recover a truncated file from the backup", async () => {
+      await store.create("user1", { name: "Alice" });
+      await store.create("user2", { name: "Bob" });
+      const content = await fsp.readFile(testFilePath);
+      await fsp.writeFile(testFilePath, content.subarray(0, content.length - 40));
+
+      const recovered = await reload();
+      try {
+        expect(await recovered.read("user1")).toEqual({ name: "Alice" });
+        await expect(recovered.read("user2")).rejects.toThrow("Key not found");
+        expect(recovered.lastRecovery).toMatchObject({
+          error: expect.stringMatching(/^Data file is not valid JSON/),
+          quarantinedAs: expect.stringContaining(`${testFilePath}.corrupt-`),
+          recoveredFrom: "backup",
+          keys: 1,
+          lost: expect.stringMatching(/^changes saved after /),
+        });
+        expect(await fsp.readFile(recovered.lastRecovery.quarantinedAs)).toEqual(
+          content.subarray(0, content.length - 40)
+        );
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("Recovered 1 keys"));
+      } finally {
+        await removeQuarantined(recovered);
+      }
+    });
+
+    test("should detect a checksum mismatch", async () => {
+      await store.create("user1", { name: "Alice" });
+      const content = await fsp.readFile(testFilePath, "utf8");
+      await fsp.writeFile(testFilePath, content.replace("Alice", "Alicf"));
+
+      expect(await store.verify()).toMatchObject({
+        ok: false,
+        error: "Checksum mismatch: the file is corrupt",
+      });
+      const recovered = await reload();
+      await removeQuarantined(recovered);
+      expect(recovered.lastRecovery.error).toBe("Checksum mismatch: the file is corrupt");
+    });
+
+    test("should recover from the temp file of an interrupted save", async () => {
+      await store.create("user1", { name: "Alice" });
+      await fsp.copyFile(testFilePath, `${testFilePath}.tmp`);
+      await fsp.writeFile(testFilePath, '{"user1": {"val');
+
+      const recovered = await reload();
+      await removeQuarantined(recovered);
+      expect(await recovered.read("user1")).toEqual({ name: "Alice" });
+      expect(recovered.lastRecovery.recoveredFrom).toBe("temp");
+      await expect(fsp.access(`${testFilePath}.tmp`)).rejects.toThrow();
+    });
+
+    test("should discard a leftover temp file when the data file is valid", async () => {
+      await store.create("user1", { name: "Alice" });
+      await fsp.writeFile(`${testFilePath}.tmp`, '{"user1": {"val');
+
+      const reloaded = await reload();
+      expect(await reloaded.read("user1")).toEqual({ name: "Alice" });
+      expect(reloaded.lastRecovery).toBeUndefined();
+      await expect(fsp.access(`${testFilePath}.tmp`)).rejects.toThrow();
+    });
+
+    test("should start empty when nothing can be recovered", async () => {
+      await fsp.writeFile(
+        testFilePath,
+        Buffer.concat([Buffer.from([0x1f, 0x8b]), Buffer.from("not really gzip")])
+      );
+
+      const recovered = await reload();
+      await removeQuarantined(recovered);
+      expect(recovered.data.size).toBe(0);
+      expect(recovered.lastRecovery).toMatchObject({
+        error: expect.stringMatching(/^Data file cannot be decompressed/),
+        recoveredFrom: null,
+        lost: "all data",
+      });
+    });
+
+    test("should report a corrupt append-only log", async () => {
+      const logged = await reload({ appendOnly: true });
+      await logged.appendLog.open();
+      await logged.create("user1", { name: "Alice" });
+      await logged.create("user2", { name: "Bob" });
+      await logged.appendLog.close();
+
+      const log = await fsp.readFile(`${testFilePath}.log`, "utf8");
+      await fsp.writeFile(`${testFilePath}.log`, log.replace("user1", 'user1"'));
+
+      expect(await logged.verify()).toMatchObject({
+        ok: false,
+        log: { records: 0, error: "Corrupted log record at line 1" },
+      });
+    });
+
+    test("should skip and quarantine corrupt records in the middle of the log", async () => {
+      const logFilePath = path.join(os.tmpdir(), `test-kvstore-skip-${Date.now()}.json`);
+      const logged = new KVStore(logFilePath, { appendOnly: true, expirySweepInterval: 0 });
+      await logged.initialize();
+      await logged.create("user1", { name: "Alice" });
+      await logged.create("user2", { name: "Bob" });
+      await logged.create("user3", { name: "Carol" });
+      await logged.cleanup();
+
+      const lines = (await fsp.readFile(`${logFilePath}.log`, "utf8")).split("\n");
+      lines[1] = lines[1].replace("user2", 'user2"');
+      await fsp.writeFile(`${logFilePath}.log`, lines.join("\n"));
+
+      const recovered = new KVStore(logFilePath, { appendOnly: true, expirySweepInterval: 0 });
+      await recovered.initialize();
+      try {
+        expect(recovered.lastRecovery).toMatchObject({
+          error: "Corrupted log records at lines 2",
+          quarantinedAs: expect.stringContaining(`${logFilePath}.log.corrupt-`),
+          recoveredFrom: "log",
+          keys: 2,
+          lost: "1 log records",
+        });
+        expect(await fsp.readFile(recovered.lastRecovery.quarantinedAs, "utf8")).toBe(
+          `${lines[1]}\n`
+        );
+        expect(await recovered.read("user1")).toEqual({ name: "Alice" });
+        expect(await recovered.read("user3")).toEqual({ name: "Carol" });
+        await expect(recovered.read("user2")).rejects.toThrow("Key not found");
+        expect((await recovered.verify()).ok).toBe(true);
+      } finally {
+        await recovered.cleanup();
+        await removeQuarantined(recovered);
+        for (const file of [logFilePath, `${logFilePath}.log`, `${logFilePath}.bak`]) {
+          await fsp.rm(file, { force: true });
+        }
+      }
+    });
+  });
+
+  describe("Compression", () => {
+    const compressedStore = async (options) => {
+      const compressed = new KVStore(testFilePath, { expirySweepInterval: 0, ...options });
+      await compressed.loadData();
+      return compressed;
+    };
+    const record = (i) => ({ name: `user${i}`, roles: ["reader", "writer"], active: true });
+
+    test("should write and read a gzip-compressed data file", async () => {
+      const compressed = await compressedStore({ compression: "gzip" });
+      for (let i = 0; i < 50; i++) {
+        await compressed.create(`user:${i}`, record(i));
+      }
+
+      const content = await fsp.readFile(testFilePath);
+      expect(content.subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+      expect(content.length).toBeLessThan(compressed.currentSize / 4);
+
+      const reloaded = await compressedStore({ compression: "gzip" });
+      expect(await reloaded.read("user:7")).toEqual(record(7));
+    });
+
+    test("should detect the format regardless of the configured compression", async () => {
+      const compressed = await compressedStore({ compression: "brotli" });
+      await compressed.create("user:1", record(1));
+      expect((await readSaved(testFilePath)).startsWith("KVBR\n")).toBe(true);
+
+      const plain = await compressedStore({});
+      expect(await plain.read("user:1")).toEqual(record(1));
+      await plain.create("user:2", record(2));
+      expect(JSON.parse(await readSaved(testFilePath))).toHaveProperty("user:2");
+    });
+
+    test("should load existing plain files without converting them", async () => {
+      await store.create("user:1", record(1));
+      const before = await readSaved(testFilePath);
+
+      const compressed = await compressedStore({ compression: "gzip" });
+      expect(await compressed.read("user:1")).toEqual(record(1));
+      expect(await readSaved(testFilePath)).toBe(before);
+    });
+
+    test("should combine compression with encryption", async () => {
+      const options = {
+        compression: "brotli",
+        encryptionKey: require("crypto").randomBytes(32),
+      };
+      const sealed = await compressedStore(options);
+      await sealed.create("user:1", record(1));
+      expect(JSON.parse(await readSaved(testFilePath))).toMatchObject({
+        $kvstore: "sealed",
+      });
+
+      const reloaded = await compressedStore(options);
+      expect(await reloaded.read("user:1")).toEqual(record(1));
+    });
+
+    test("should enforce the size limit on the logical or the on-disk size", async () => {
+      const fill = async (limited) => {
+        for (let i = 0; i < 40; i++) {
+          await limited.create(`user:${i}`, record(i));
+        }
+      };
+
+      const logical = await compressedStore({ compression: "gzip", maxFileSize: 2000 });
+      await expect(fill(logical)).rejects.toThrow(/exceed.*limit/);
+
+      await fsp.writeFile(testFilePath, "{}");
+      const disk = await compressedStore({
+        compression: "gzip",
+        maxFileSize: 2000,
+        sizeLimit: "disk",
+      });
+      await fill(disk);
+      expect(disk.currentSize).toBeGreaterThan(2000);
+      expect((await fsp.stat(testFilePath)).size).toBeLessThanOrEqual(2000);
+    });
+
+    test("should reject unknown compression and size limit options", () => {
+      expect(() => new KVStore(testFilePath, { compression: "zip" })).toThrow(
+        "Invalid compression format: zip"
+      );
+      expect(() => new KVStore(testFilePath, { sizeLimit: "memory" })).toThrow(
+        "Invalid size limit mode: memory"
+      );
+    });
+  });
+
+  describe("Encryption at Rest", () => {
+    const crypto = require("crypto");
+    const oldKey = crypto.randomBytes(32).toString("base64");
+    const newKey = crypto.randomBytes(32).toString("hex");
+    const sealedStore = async (options) => {
+      const sealed = new KVStore(testFilePath, { expirySweepInterval: 0, ...options });
+      await sealed.loadData();
+      return sealed;
+    };
+
+    afterEach(async () => {
+      await fsp.rm(`${testFilePath}.log`, { force: true });
+    });
+
+    test("should seal the data file and read it back", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("token", { secret: "hunter2" });
+      await sealed.saveData();
+
+      const content = await readSaved(testFilePath);
+      expect(content).not.toContain("hunter2");
+      expect(JSON.parse(content)).toMatchObject({
+        $kvstore: "sealed",
+        alg: "aes-256-gcm",
+      });
+
+      const reloaded = await sealedStore({ encryptionKey: oldKey });
+      expect(await reloaded.read("token")).toEqual({ secret: "hunter2" });
+    });
+
+    test("should read the key from a key file", async () => {
+      const keyFile = `${testFilePath}.key`;
+      await fsp.writeFile(keyFile, `${newKey}\n`);
+      try {
+        const sealed = await sealedStore({ encryptionKeyFile: keyFile });
+        await sealed.create("token", "abc");
+        const reloaded = await sealedStore({ encryptionKey: newKey });
+        expect(await reloaded.read("token")).toBe("abc");
+      } finally {
+        await fsp.rm(keyFile, { force: true });
+      }
+    });
+
+    test("should fail clearly on a wrong or missing key", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("token", "abc");
+
+      await expect(sealedStore({ encryptionKey: newKey })).rejects.toThrow(
+        /^Wrong encryption key: data was sealed with key [0-9a-f]{16}$/
+      );
+      await expect(sealedStore({})).rejects.toThrow(
+        "Data file is encrypted, but no encryption key is configured"
+      );
+      expect(() => new KVStore(testFilePath, { encryptionKey: "short" })).toThrow(
+        "Encryption key must be 32 bytes, given as hex or base64"
+      );
+    });
+
+    const tamper = async () => {
+      const envelope = JSON.parse(await readSaved(testFilePath));
+      const data = Buffer.from(envelope.data, "base64");
+      data[data.length - 2] ^= 1;
+      envelope.data = data.toString("base64");
+      await fsp.writeFile(testFilePath, JSON.stringify(envelope));
+    };
+
+    test("should detect tampered ciphertext", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("balance", 100);
+      await tamper();
+
+      await expect(sealedStore({ encryptionKey: oldKey })).rejects.toThrow(
+        "Decryption failed: data was tampered with or corrupted"
+      );
+    });
+
+    test("should reject a truncated authentication tag", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("balance", 100);
+      const envelope = JSON.parse(await readSaved(testFilePath));
+      envelope.tag = Buffer.from(envelope.tag, "base64").subarray(0, 4).toString("base64");
+      await fsp.writeFile(testFilePath, JSON.stringify(envelope));
+
+      await expect(sealedStore({ encryptionKey: oldKey })).rejects.toMatchObject({
+        message: "Decryption failed: data was tampered with or corrupted",
+        code: "DECRYPTION_FAILED",
+      });
+    });
+
+    test("should recover from tampered ciphertext when asked to", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("balance", 100);
+      await sealed.create("limit", 500);
+      await tamper();
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      try {
+        const reloaded = await sealedStore({ encryptionKey: oldKey, recoverTampered: true });
+        await fsp.rm(reloaded.lastRecovery.quarantinedAs);
+        expect(reloaded.lastRecovery).toMatchObject({
+          error: "Decryption failed: data was tampered with or corrupted",
+          recoveredFrom: "backup",
+        });
+        expect(await reloaded.read("balance")).toBe(100);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test("should rotate to a new key", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("token", "abc");
+      await sealed.rotateEncryptionKey(newKey);
+
+      const reloaded = await sealedStore({ encryptionKey: newKey });
+      expect(await reloaded.read("token")).toBe("abc");
+      await expect(sealedStore({ encryptionKey: oldKey })).rejects.toThrow(
+        /Wrong encryption key/
+      );
+    });
+
+    test("should reseal data written with a previous key on startup", async () => {
+      const sealed = await sealedStore({ encryptionKey: oldKey });
+      await sealed.create("token", "abc");
+      const { keyId } = JSON.parse(await readSaved(testFilePath));
+
+      await store.cleanup(); // Releases the file lock
+      const rotated = new KVStore(testFilePath, {
+        encryptionKey: newKey,
+        previousEncryptionKeys: [oldKey],
+      });
+      await rotated.initialize();
+      await rotated.cleanup();
+
+      const envelope = JSON.parse(await readSaved(testFilePath));
+      expect(envelope.keyId).toBe(rotated.cipher.keyId);
+      expect(envelope.keyId).not.toBe(keyId);
+      const reloaded = await sealedStore({ encryptionKey: newKey });
+      expect(await reloaded.read("token")).toBe("abc");
+    });
+
+    test("should seal each record of the append-only log", async () => {
+      await store.cleanup(); // Releases the file lock
+      const sealed = new KVStore(testFilePath, {
+        encryptionKey: oldKey,
+        appendOnly: true,
+        appendFsync: "always",
+      });
+      await sealed.initialize();
+      await sealed.create("token", { secret: "hunter2" });
+      await sealed.cleanup();
+
+      const log = await fsp.readFile(`${testFilePath}.log`, "utf8");
+      expect(log).not.toContain("hunter2");
+      expect(JSON.parse(log.trim())).toMatchObject({ $kvstore: "sealed" });
+
+      const reloaded = await sealedStore({ encryptionKey: oldKey, appendOnly: true });
+      expect(await reloaded.read("token")).toEqual({ secret: "hunter2" });
+    });
+  });
+
+  describe("Append-only Log", () => {
+    let logStore;
+    let logFilePath;
+
+    beforeEach(async () => {
+      logFilePath = path.join(os.tmpdir(), `test-kvstore-log-${Date.now()}.json`);
+      logStore = new KVStore(logFilePath, {
+        appendOnly: true,
+        appendFsync: "always",
+      });
+      await logStore.initialize();
+    });
+
+    afterEach(async () => {
+      await logStore.cleanup();
+      for (const file of [logFilePath, `${logFilePath}.log`, `${logFilePath}.bak`]) {
+        try {
+          await fsp.unlink(file);
+        } catch (error) {
+        }
+      }
+    });
+
+    test("should append records instead of rewriting the data file", async () => {
+      await logStore.create("user1", { name: "Alice" });
+      await logStore.create("user2", { name: "Bob" });
+      await logStore.delete("user1");
+
+      expect(await readSaved(logFilePath)).toBe("{}");
+      const records = (await fsp.readFile(`${logFilePath}.log`, "utf8"))
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(records.map((record) => record.op)).toEqual(["set", "set", "del"]);
+    });
+
+    test("should replay the log on initialize", async () => {
+      await logStore.create("user1", { name: "Alice" });
+      await logStore.create("user2", { name: "Bob" });
+      await logStore.delete("user1");
+      await logStore.cleanup();
+
+      logStore = new KVStore(logFilePath, { appendOnly: true });
+      await logStore.initialize();
+      await expect(logStore.read("user1")).rejects.toThrow("Key not found");
+      expect(await logStore.read("user2")).toEqual({ name: "Bob" });
+    });
+
+    test("should ignore a half-written trailing record", async () => {
+      await logStore.create("user1", { name: "Alice" });
+      await logStore.cleanup();
+      await fsp.appendFile(`${logFilePath}.log`, '{"op":"set","key":"us');
+
+      logStore = new KVStore(logFilePath, { appendOnly: true });
+      await logStore.initialize();
+      await logStore.create("user2", { name: "Bob" });
+      await logStore.cleanup();
+
+      logStore = new KVStore(logFilePath, { appendOnly: true });
+      await logStore.initialize();
+      expect(await logStore.read("user1")).toEqual({ name: "Alice" });
+      expect(await logStore.read("user2")).toEqual({ name: "Bob" });
+    });
+
+    test("should fold the log into a snapshot on rewrite", async () => {
+      await logStore.create("user1", { name: "Alice" });
+      await logStore.create("user2", { name: "Bob" });
+      await logStore.delete("user2");
+      await logStore.rewriteLog();
+
+      expect((await fsp.stat(`${logFilePath}.log`)).size).toBe(0);
+      const snapshot = JSON.parse(await readSaved(logFilePath));
+      expect(Object.keys(snapshot)).toEqual(["\u0000versionFloor", "user1"]);
+
+      await logStore.create("user3", { name: "Carol" });
+      await logStore.cleanup();
+      logStore = new KVStore(logFilePath, { appendOnly: true });
+      await logStore.initialize();
+      expect(await logStore.read("user1")).toEqual({ name: "Alice" });
+      expect(await logStore.read("user3")).toEqual({ name: "Carol" });
+    });
+
+    test("should rewrite the log automatically once it outgrows the threshold", async () => {
+      await logStore.cleanup();
+      logStore = new KVStore(logFilePath, {
+        appendOnly: true,
+        logRewriteMinSize: 512,
+      });
+      await logStore.initialize();
+
+      for (let i = 0; i < 20; i++) {
+        await logStore.create(`key${i}`, { data: `value${i}` });
+      }
+      await logStore.rewritePromise;
+
+      const snapshot = JSON.parse(await readSaved(logFilePath));
+      expect(Object.keys(snapshot).length).toBeGreaterThan(0);
+
+      await logStore.cleanup();
+      logStore = new KVStore(logFilePath, { appendOnly: true });
+      await logStore.initialize();
+      for (let i = 0; i < 20; i++) {
+        expect(await logStore.read(`key${i}`)).toEqual({ data: `value${i}` });
+      }
+    });
+  });
+
+  describe("Read-only Followers", () => {
+    let follower;
+
+    beforeEach(async () => {
+      await store.create("user1", { name: "Alice" });
+      follower = new KVStore(testFilePath, { readOnly: true, reloadInterval: 20 });
+      await follower.initialize();
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await follower.cleanup();
+      await store.cleanup();
+    });
+
+    test("should open without the lock and serve reads", async () => {
+      expect(await follower.read("user1")).toEqual({ name: "Alice" });
+      const page = await follower.scan({ includeValues: true });
+      expect(page.items).toMatchObject([{ key: "user1", value: { name: "Alice" } }]);
+    });
+
+    test("should reject mutating calls", async () => {
+      const calls = [
+        () => follower.create("user2", { name: "Bob" }),
+        () => follower.upsert("user1", { name: "Bob" }),
+        () => follower.incr("counter"),
+        () => follower.expire("user1", 60),
+        () => follower.delete("user1"),
+        () => follower.batchCreate([["user2", { name: "Bob" }]]),
+        () => follower.createIndex("byName", "$.name"),
+        () => follower.compact(),
+      ];
+      for (const call of calls) {
+        await expect(call()).rejects.toMatchObject({
+          message: "Store is read-only",
+          code: "READ_ONLY",
+        });
+      }
+      expect(await follower.read("user1")).toEqual({ name: "Alice" });
+      expect(follower.isDirty).toBe(false);
+    });
+
+    test("should serve reads that touch without sliding the expiry", async () => {
+      await store.create("session", "abc", 60);
+      await follower.reload();
+      const { expiry } = await follower.readEntry("session");
+
+      follower.setReplicaOf("http://primary:5000");
+      follower.touchOnRead = true;
+      jest.spyOn(Date, "now").mockReturnValue(expiry - 30000);
+      expect(await follower.read("session", { touch: true })).toBe("abc");
+      expect((await follower.readEntry("session")).expiry).toBe(expiry);
+      expect(follower.isDirty).toBe(false);
+    });
+
+    test("should reload when the primary rewrites the file", async () => {
+      const reloaded = new Promise((resolve) => follower.once("reload", resolve));
+      await store.transaction([
+        { op: "create", key: "user2", value: { name: "Bob" } },
+        { op: "delete", key: "user1" },
+      ]);
+
+      await reloaded;
+      expect(await follower.read("user2")).toEqual({ name: "Bob" });
+      await expect(follower.read("user1")).rejects.toThrow("Key not found");
+    });
+
+    test("should keep its data when a reload fails", async () => {
+      await follower.cleanup();
+      follower = new KVStore(testFilePath, { readOnly: true, reloadInterval: 60000 });
+      await follower.initialize();
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      await fsp.writeFile(testFilePath, "{\"user1\":");
+
+      await expect(follower.reload()).rejects.toThrow("Data file is not valid JSON");
+      expect(await follower.read("user1")).toEqual({ name: "Alice" });
+      expect(await fsp.readFile(testFilePath, "utf8")).toBe("{\"user1\":");
+      console.warn.mockRestore();
+    });
+
+    test("should never change the log of the primary", async () => {
+      const logFilePath = path.join(os.tmpdir(), `test-kvstore-follow-${Date.now()}.json`);
+      const primary = new KVStore(logFilePath, { appendOnly: true });
+      await primary.initialize();
+      await primary.create("user1", { name: "Alice" });
+      await primary.flush();
+      await fsp.appendFile(`${logFilePath}.log`, '{"op":"set","key":"us');
+      const log = await fsp.readFile(`${logFilePath}.log`, "utf8");
+
+      const logFollower = new KVStore(logFilePath, { appendOnly: true, readOnly: true });
+      await logFollower.initialize();
+      try {
+        expect(await logFollower.read("user1")).toEqual({ name: "Alice" });
+        expect(await fsp.readFile(`${logFilePath}.log`, "utf8")).toBe(log);
+      } finally {
+        await logFollower.cleanup();
+        await primary.cleanup();
+        for (const file of [logFilePath, `${logFilePath}.log`, `${logFilePath}.bak`]) {
+          await fsp.rm(file, { force: true });
+        }
+      }
+    });
+
+    test("should follow the append-only log of the primary", async () => {
+      const logFilePath = path.join(os.tmpdir(), `test-kvstore-follow-${Date.now()}.json`);
+      const primary = new KVStore(logFilePath, { appendOnly: true });
+      await primary.initialize();
+      await primary.create("user1", { name: "Alice" });
+      const logFollower = new KVStore(logFilePath, {
+        appendOnly: true,
+        readOnly: true,
+        reloadInterval: 20,
+      });
+      await logFollower.initialize();
+
+      try {
+        expect(await logFollower.read("user1")).toEqual({ name: "Alice" });
+        const reloaded = new Promise((resolve) => logFollower.once("reload", resolve));
+        await primary.update("user1", { name: "Alicia" });
+        await primary.flush();
+        await reloaded;
+        expect(await logFollower.read("user1")).toEqual({ name: "Alicia" });
+      } finally {
+        await logFollower.cleanup();
+        await primary.cleanup();
+        for (const file of [logFilePath, `${logFilePath}.log`, `${logFilePath}.bak`]) {
+          await fsp.rm(file, { force: true });
+        }
+      }
+    });
   });
 
   describe("Error Handling", () => {
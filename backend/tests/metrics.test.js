@@ -0,0 +1,92 @@
+const express = require("express");
+const request = require("supertest");
+const fsp = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const KVStore = require("../src/kvStore");
+const createHttpMetrics = require("../src/middleware/httpMetrics");
+const { Histogram, formatStoreMetrics } = require("../src/metrics");
+
+describe("Metrics", () => {
+  test("should format a histogram with cumulative buckets", () => {
+    const histogram = new Histogram("latency_seconds", "Latency.", [0.1, 1]);
+    histogram.observe({ route: "/a" }, 0.05);
+    histogram.observe({ route: "/a" }, 0.5);
+    histogram.observe({ route: "/a" }, 2);
+
+    expect(histogram.format()).toBe(
+      [
+        "# HELP latency_seconds Latency.",
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{route="/a",le="0.1"} 1',
+        'latency_seconds_bucket{route="/a",le="1"} 2',
+        'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+        'latency_seconds_sum{route="/a"} 2.55',
+        'latency_seconds_count{route="/a"} 3',
+      ].join("\n")
+    );
+  });
+
+  test("should escape label values", () => {
+    const histogram = new Histogram("h", "H.", [1]);
+    histogram.observe({ route: 'say "hi"\\\n' }, 0);
+    expect(histogram.format()).toContain('h_count{route="say \\"hi\\"\\\\\\n"} 1');
+  });
+
+  test("should record request latency by route pattern", async () => {
+    const httpMetrics = createHttpMetrics({ buckets: [10] });
+    const app = express();
+    const router = express.Router();
+    router.get("/:key", (req, res) => res.json({ key: req.params.key }));
+    app.use(httpMetrics.measure);
+    app.use("/api/kv", router);
+    app.use(
+      "/api/ns/:ns/kv",
+      (req, res, next) => {
+        req.baseRoute = "/api/ns/:ns/kv";
+        next();
+      },
+      router
+    );
+
+    await request(app).get("/api/kv/user1");
+    await request(app).get("/api/kv/user2");
+    await request(app).get("/api/ns/billing/kv/invoice1");
+    await request(app).get("/nowhere");
+
+    const text = httpMetrics.format();
+    expect(text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/api/kv/:key",status="200"} 2'
+    );
+    expect(text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/api/ns/:ns/kv/:key",status="200"} 1'
+    );
+    expect(text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1'
+    );
+  });
+
+  test("should format the statistics of a store and its namespaces", async () => {
+    const testFilePath = path.join(os.tmpdir(), `test-metrics-${Date.now()}.json`);
+    const store = new KVStore(testFilePath);
+    await store.initialize();
+    try {
+      await store.create("user1", "Alice");
+      await store.createNamespace("billing");
+      await store.namespace("billing").create("invoice1", 42);
+      await store.namespace("billing").read("invoice1");
+
+      const text = formatStoreMetrics(store);
+      expect(text).toContain("# TYPE kvstore_keys gauge\n");
+      expect(text).toContain('kvstore_keys{namespace=""} 1\n');
+      expect(text).toContain('kvstore_read_hits_total{namespace="billing"} 1\n');
+      expect(text).toContain('kvstore_read_hits_total{namespace=""} 0\n');
+      expect(text).toMatch(/kvstore_saves_total\{namespace=""\} [1-9]/);
+    } finally {
+      await store.cleanup();
+      await fsp.rm(testFilePath, { force: true });
+      await fsp.rm(`${testFilePath}.bak`, { force: true });
+      await fsp.rm(store.namespaceDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,145 @@
+const express = require("express");
+const request = require("supertest");
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const createAuth = require("../src/middleware/auth");
+const createRateLimit = require("../src/middleware/rateLimit");
+const createErrorHandler = require("../src/middleware/errors");
+
+describe("Rate limit middleware", () => {
+  let now;
+  let configPath;
+
+  // Runs the real auth middleware, with an auth config holding the given API keys
+  const buildApp = (options, keys) => {
+    if (keys) {
+      configPath = path.join(os.tmpdir(), `test-rate-limit-${Date.now()}.json`);
+      fs.writeFileSync(configPath, JSON.stringify({ keys }));
+    }
+    const { authenticate } = createAuth({ configPath: keys ? configPath : undefined });
+    const app = express();
+    app.set("trust proxy", true);
+    app.use(authenticate);
+    app.use(createRateLimit(options));
+    app.use(express.json());
+    app.post("/api/kv", (req, res) => res.json({ clientId: req.clientId }));
+    app.use(createErrorHandler());
+    return app;
+  };
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (configPath) {
+      fs.rmSync(configPath, { force: true });
+      configPath = null;
+    }
+  });
+
+  test("should limit requests per second with Retry-After", async () => {
+    const app = buildApp({ requestsPerSecond: 2 });
+
+    expect((await request(app).post("/api/kv")).status).toBe(200);
+    expect((await request(app).post("/api/kv")).status).toBe(200);
+    const limited = await request(app).post("/api/kv");
+    expect(limited.status).toBe(429);
+    expect(limited.headers["retry-after"]).toBe("1");
+    expect(limited.body).toEqual({ error: "Rate limit exceeded", code: "RATE_LIMITED" });
+
+    now += 500;
+    expect((await request(app).post("/api/kv")).status).toBe(200);
+  });
+
+  test("should limit request bytes per second", async () => {
+    const app = buildApp({ bytesPerSecond: 100 });
+    const body = { data: "x".repeat(280) };
+
+    expect((await request(app).post("/api/kv").send(body)).status).toBe(200);
+    const limited = await request(app).post("/api/kv").send(body);
+    expect(limited.status).toBe(429);
+    expect(limited.headers["retry-after"]).toBe("2");
+
+    now += 2000;
+    expect((await request(app).post("/api/kv").send(body)).status).toBe(200);
+  });
+
+  test("should count the bytes of chunked bodies", async () => {
+    const server = buildApp({ bytesPerSecond: 100 }).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    // Sends the body in chunks, so it has no Content-Length
+    const postChunked = () =>
+      new Promise((resolve, reject) => {
+        const req = http.request({
+          port: server.address().port,
+          host: "127.0.0.1",
+          method: "POST",
+          path: "/api/kv",
+          headers: { "Content-Type": "application/json" },
+        });
+        req.on("response", (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        });
+        req.on("error", reject);
+        req.write('{"data":"');
+        req.write("x".repeat(280));
+        req.end('"}');
+      });
+
+    try {
+      expect(await postChunked()).toBe(200);
+      expect(await postChunked()).toBe(429);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("should identify clients by API key or IP", async () => {
+    const byKey = buildApp({}, [{ key: "billing-key", name: "billing", admin: true }]);
+    const res = await request(byKey)
+      .post("/api/kv")
+      .set("Authorization", "Bearer billing-key");
+    expect(res.body.clientId).toBe("key:billing");
+
+    const byIp = buildApp({});
+    expect((await request(byIp).post("/api/kv")).body.clientId).toMatch(/^ip:/);
+  });
+
+  test("should give anonymous clients on different IPs separate buckets", async () => {
+    const app = buildApp({ requestsPerSecond: 1 });
+    const from = (ip) => request(app).post("/api/kv").set("X-Forwarded-For", ip);
+
+    const first = await from("10.0.0.1");
+    expect(first.status).toBe(200);
+    expect(first.body.clientId).toBe("ip:10.0.0.1");
+    expect((await from("10.0.0.1")).status).toBe(429);
+
+    const second = await from("10.0.0.2");
+    expect(second.status).toBe(200);
+    expect(second.body.clientId).toBe("ip:10.0.0.2");
+  });
+
+  test("should let an API key override the default limits", async () => {
+    const app = buildApp({ requestsPerSecond: 1 }, [
+      {
+        key: "batch-key",
+        name: "batch-job",
+        admin: true,
+        rateLimit: { requestsPerSecond: 3 },
+      },
+    ]);
+    const post = () =>
+      request(app).post("/api/kv").set("Authorization", "Bearer batch-key");
+
+    for (let i = 0; i < 3; i++) {
+      expect((await post()).status).toBe(200);
+    }
+    expect((await post()).status).toBe(429);
+  });
+});
@@ -0,0 +1,168 @@
+const express = require("express");
+const fsp = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const KVStore = require("../src/kvStore");
+const { ReplicationSource, ReplicationFollower } = require("../src/replication");
+
+describe("Replication", () => {
+  let primary;
+  let replica;
+  let source;
+  let follower;
+  let server;
+  let files;
+
+  // Polls until a condition holds, so tests wait on the stream without fixed sleeps
+  const waitFor = async (condition, timeout = 3000) => {
+    const started = Date.now();
+    while (!(await condition())) {
+      if (Date.now() - started > timeout) {
+        throw new Error("Timed out waiting for replication");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(async () => {
+    const stamp = Date.now();
+    files = [
+      path.join(os.tmpdir(), `test-primary-${stamp}.json`),
+      path.join(os.tmpdir(), `test-replica-${stamp}.json`),
+    ];
+    primary = new KVStore(files[0]);
+    replica = new KVStore(files[1]);
+    await primary.initialize();
+    await replica.initialize();
+
+    source = new ReplicationSource(primary, { pingInterval: 20 });
+    const app = express();
+    app.get("/api/replication/stream", (req, res) => source.stream(req, res));
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+
+    follower = new ReplicationFollower(replica, {
+      primaryUrl: `http://127.0.0.1:${server.address().port}`,
+      retryDelay: 20,
+    });
+  });
+
+  afterEach(async () => {
+    await follower.stop();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await primary.cleanup();
+    await replica.cleanup();
+    for (const file of files) {
+      await fsp.rm(file, { force: true });
+      await fsp.rm(`${file}.bak`, { force: true });
+      await fsp.rm(file.replace(/\.json$/, ".namespaces"), { recursive: true, force: true });
+    }
+  });
+
+  test("should load a snapshot and then stream changes", async () => {
+    await primary.create("user1", { name: "Alice" });
+    await primary.create("session", { id: 1 }, 60);
+    await replica.create("stale", { data: "gone" });
+
+    follower.start();
+    await waitFor(() => follower.fullSyncs === 1);
+    expect(await replica.read("user1")).toEqual({ name: "Alice" });
+    await expect(replica.read("stale")).rejects.toThrow("Key not found");
+    expect(await replica.ttl("session")).toEqual(await primary.ttl("session"));
+
+    await primary.update("user1", { name: "Alicia" });
+    await primary.create("user2", { name: "Bob" });
+    await primary.delete("session");
+    await waitFor(() => follower.seq === primary.sequence);
+
+    expect(await replica.readEntry("user1")).toMatchObject({
+      value: { name: "Alicia" },
+      version: 2,
+    });
+    expect(await replica.read("user2")).toEqual({ name: "Bob" });
+    await expect(replica.read("session")).rejects.toThrow("Key not found");
+  });
+
+  test("should reject writes on the replica", async () => {
+    follower.start();
+    await waitFor(() => follower.state === "streaming");
+
+    await expect(replica.create("user1", { name: "Alice" })).rejects.toMatchObject({
+      code: "READ_ONLY",
+      message: `Store is a read-only replica of ${follower.primaryUrl}`,
+    });
+  });
+
+  test("should reject namespace writes on the replica", async () => {
+    await replica.createNamespace("billing");
+    follower.start();
+    await waitFor(() => follower.state === "streaming");
+
+    await expect(
+      replica.namespace("billing").create("invoice:1", { total: 10 })
+    ).rejects.toMatchObject({ code: "READ_ONLY" });
+    await expect(replica.createNamespace("audit")).rejects.toMatchObject({
+      code: "READ_ONLY",
+    });
+  });
+
+  test("should resume from its sequence number after a reconnect", async () => {
+    await primary.create("user1", { name: "Alice" });
+    follower.start();
+    await waitFor(() => follower.fullSyncs === 1);
+
+    server.closeAllConnections();
+    await waitFor(() => follower.state === "disconnected");
+    await primary.create("user2", { name: "Bob" });
+
+    await waitFor(() => follower.seq === primary.sequence);
+    expect(await replica.read("user2")).toEqual({ name: "Bob" });
+    expect(follower.fullSyncs).toBe(1);
+  });
+
+  test("should catch up from a snapshot when it falls too far behind", async () => {
+    primary.changeHistorySize = 2;
+    await primary.create("user1", { name: "Alice" });
+    follower.start();
+    await waitFor(() => follower.fullSyncs === 1);
+
+    await follower.stop();
+    await primary.delete("user1");
+    for (let i = 0; i < 5; i++) {
+      await primary.create(`key${i}`, { data: i });
+    }
+
+    follower.start();
+    await waitFor(() => follower.fullSyncs === 2);
+    await expect(replica.read("user1")).rejects.toThrow("Key not found");
+    expect(await replica.read("key4")).toEqual({ data: 4 });
+    expect(follower.seq).toBe(primary.sequence);
+  });
+
+  test("should report its lag and the primary its followers", async () => {
+    follower.start();
+    await waitFor(() => follower.fullSyncs === 1);
+    await primary.create("user1", { name: "Alice" });
+    await waitFor(() => follower.seq === primary.sequence);
+
+    const status = follower.status();
+    expect(status).toMatchObject({
+      role: "follower",
+      state: "streaming",
+      replicationId: primary.replicationId,
+      seq: 1,
+      primarySeq: 1,
+      lag: { changes: 0 },
+      fullSyncs: 1,
+      lastError: null,
+    });
+    expect(status.lag.ms).toBeLessThan(1000);
+    expect(source.status()).toMatchObject({
+      role: "primary",
+      seq: 1,
+      followers: [{ fullSync: true }],
+    });
+  });
+});
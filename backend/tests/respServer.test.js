@@ -0,0 +1,204 @@
+const net = require("net");
+const fsp = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const KVStore = require("../src/kvStore");
+const { createRespServer, parseResp, encodeResp } = require("../src/respServer");
+
+describe("RESP server", () => {
+  let store;
+  let server;
+  let socket;
+  let testFilePath;
+  let received;
+  let waiting;
+
+  // Sends a command as a RESP array and resolves with the parsed reply
+  const send = (...args) =>
+    new Promise((resolve) => {
+      waiting = resolve;
+      socket.write(
+        `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join("")}`
+      );
+    });
+
+  // Bulk string replies come back as Buffers; compare them as strings
+  const text = (value) =>
+    Array.isArray(value) ? value.map(text) : Buffer.isBuffer(value) ? value.toString() : value;
+
+  beforeEach(async () => {
+    testFilePath = path.join(os.tmpdir(), `test-resp-${Date.now()}.json`);
+    store = new KVStore(testFilePath);
+    await store.initialize();
+
+    server = createRespServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    socket = net.connect(server.address().port, "127.0.0.1");
+    received = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      const parsed = parseResp(received);
+      if (parsed && waiting) {
+        received = received.subarray(parsed.offset);
+        const resolve = waiting;
+        waiting = null;
+        resolve(text(parsed.value));
+      }
+    });
+    await new Promise((resolve) => socket.once("connect", resolve));
+  });
+
+  afterEach(async () => {
+    socket.destroy();
+    await new Promise((resolve) => server.close(resolve));
+    await store.cleanup();
+    await fsp.rm(testFilePath, { force: true });
+    await fsp.rm(`${testFilePath}.bak`, { force: true });
+  });
+
+  test("should answer PING", async () => {
+    expect(await send("PING")).toBe("PONG");
+    expect(await send("ping", "hello")).toBe("hello");
+  });
+
+  test("should SET and GET strings", async () => {
+    expect(await send("SET", "user1", "Alice")).toBe("OK");
+    expect(await send("GET", "user1")).toBe("Alice");
+    expect(await store.read("user1")).toBe("Alice");
+    expect(await send("GET", "missing")).toBeNull();
+  });
+
+  test("should return JSON values set through the store as JSON", async () => {
+    await store.create("user1", { name: "Alice" });
+    expect(await send("GET", "user1")).toBe('{"name":"Alice"}');
+  });
+
+  test("should support SET with EX and NX, and TTL", async () => {
+    expect(await send("SET", "session", "abc", "EX", "60", "NX")).toBe("OK");
+    expect(await send("SET", "session", "def", "NX")).toBeNull();
+    expect(await send("GET", "session")).toBe("abc");
+    expect(await send("TTL", "session")).toBe(60);
+
+    await send("SET", "plain", "1");
+    expect(await send("TTL", "plain")).toBe(-1);
+    expect(await send("TTL", "missing")).toBe(-2);
+    expect(await send("SET", "bad", "1", "EX", "soon")).toEqual({
+      error: "ERR value is not an integer or out of range",
+    });
+    expect(await send("SET", "bad", "1", "KEEPTTL")).toEqual({ error: "ERR syntax error" });
+  });
+
+  test("should support DEL, EXISTS, MGET and MSET", async () => {
+    expect(await send("MSET", "a", "1", "b", "2", "c", "3")).toBe("OK");
+    expect(await send("MGET", "a", "missing", "c")).toEqual(["1", null, "3"]);
+    expect(await send("EXISTS", "a", "b", "missing", "a")).toBe(3);
+    expect(await send("DEL", "a", "b", "missing")).toBe(2);
+    expect(await send("EXISTS", "a", "c")).toBe(1);
+    expect(await send("MSET", "a", "1", "b")).toEqual({
+      error: "ERR wrong number of arguments for 'mset' command",
+    });
+  });
+
+  test("should SCAN with a cursor and MATCH", async () => {
+    for (let i = 0; i < 5; i++) {
+      await store.create(`user:${i}`, i);
+    }
+    await store.create("order:1", 1);
+
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, page] = await send("SCAN", cursor, "MATCH", "user:*", "COUNT", "2");
+      keys.push(...page);
+      cursor = next;
+    } while (cursor !== "0");
+    expect(keys).toEqual(["user:0", "user:1", "user:2", "user:3", "user:4"]);
+
+    expect(await send("SCAN", "12345")).toEqual({ error: "ERR invalid cursor" });
+  });
+
+  test("should report the keyspace in INFO", async () => {
+    await send("SET", "a", "1", "EX", "60");
+    await send("SET", "b", "2");
+
+    const info = await send("INFO");
+    expect(info).toContain("# Keyspace\r\ndb0:keys=2,expires=1");
+    expect(info).toContain("loading:0");
+    expect(await send("INFO", "keyspace")).not.toContain("# Server");
+  });
+
+  test("should reject unknown commands and wrong arities", async () => {
+    expect(await send("HSET", "h", "f", "v")).toEqual({
+      error: "ERR unknown command 'HSET', with args beginning with: 'h' 'f' 'v'",
+    });
+    for (const name of ["CONSTRUCTOR", "__proto__", "HASOWNPROPERTY", "toString"]) {
+      expect(await send(name, "x")).toEqual({
+        error: `ERR unknown command '${name}', with args beginning with: 'x'`,
+      });
+    }
+    expect(await send("GET")).toEqual({
+      error: "ERR wrong number of arguments for 'get' command",
+    });
+    expect(await send("GET", "x".repeat(40))).toEqual({
+      error: "ERR Key cannot exceed 32 characters",
+    });
+  });
+
+  test("should accept inline and pipelined commands", async () => {
+    const replies = new Promise((resolve) => {
+      let all = Buffer.alloc(0);
+      socket.removeAllListeners("data");
+      socket.on("data", (chunk) => {
+        all = Buffer.concat([all, chunk]);
+        if (all.toString().split("\r\n").length > 4) {
+          resolve(all.toString());
+        }
+      });
+    });
+    socket.write("SET inline yes\r\nGET inline\r\nPING\r\n");
+    expect(await replies).toBe("+OK\r\n$3\r\nyes\r\n+PONG\r\n");
+  });
+
+  test("should read commands sent in many chunks", async () => {
+    const value = "x".repeat(10000);
+    const command = `*3\r\n$3\r\nSET\r\n$3\r\nbig\r\n$${value.length}\r\n${value}\r\n`;
+    const reply = new Promise((resolve) => {
+      waiting = resolve;
+    });
+    for (let i = 0; i < command.length; i += 1000) {
+      socket.write(command.slice(i, i + 1000));
+    }
+    expect(await reply).toBe("OK");
+    expect(await send("GET", "big")).toBe(value);
+  });
+
+  test("should drop connections that send too long commands", async () => {
+    // Collects everything the server sends until it closes the connection
+    const dropped = (payload) => {
+      const client = net.connect(server.address().port, "127.0.0.1");
+      return new Promise((resolve) => {
+        let all = "";
+        client.on("data", (chunk) => {
+          all += chunk.toString();
+        });
+        client.on("error", () => {});
+        client.on("close", () => resolve(all));
+        client.write(payload);
+      });
+    };
+
+    expect(await dropped("x".repeat(70 * 1024))).toBe(
+      "-ERR Protocol error: too big inline request\r\n"
+    );
+    expect(await dropped("*1\r\n$2000000\r\n")).toBe(
+      "-ERR Protocol error: invalid bulk length\r\n"
+    );
+    expect(await send("PING")).toBe("PONG");
+  });
+
+  test("should encode replies", () => {
+    expect(encodeResp(null)).toBe("$-1\r\n");
+    expect(encodeResp(["a", 1, null])).toBe("*3\r\n$1\r\na\r\n:1\r\n$-1\r\n");
+    expect(encodeResp({ error: "ERR bad\r\nthing" })).toBe("-ERR bad thing\r\n");
+  });
+});
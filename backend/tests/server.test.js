@@ -0,0 +1,119 @@
+const express = require("express");
+const request = require("supertest");
+const fsp = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const KVStore = require("../src/kvStore");
+const Server = require("../src/server");
+const createErrorHandler = require("../src/middleware/errors");
+
+describe("Server", () => {
+  let store;
+  let server;
+  let testFilePath;
+  let releaseSlow;
+
+  const url = (route) => `http://127.0.0.1:${server.httpServer.address().port}${route}`;
+
+  beforeEach(() => {
+    testFilePath = path.join(os.tmpdir(), `test-server-${Date.now()}.json`);
+    store = new KVStore(testFilePath);
+
+    const app = express();
+    app.get("/readyz", (req, res) => {
+      const { ready } = server.readiness();
+      res.status(ready ? 200 : 503).end();
+    });
+    server = new Server(app, store, { port: 0, host: "127.0.0.1", drainTimeout: 2000 });
+    app.use(server.track());
+    app.get("/slow", (req, res) => {
+      releaseSlow = () => res.json({ done: true });
+    });
+    app.get("/events", (req, res) => {
+      res.set("Content-Type", "text/event-stream");
+      res.flushHeaders();
+    });
+    app.get("/fast", (req, res) => res.json({ ok: true }));
+    app.use(createErrorHandler());
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    await fsp.rm(testFilePath, { force: true });
+    await fsp.rm(`${testFilePath}.bak`, { force: true });
+  });
+
+  test("should listen only once the store is initialized", async () => {
+    expect(server.readiness().ready).toBe(false);
+    const initialize = jest.spyOn(store, "initialize");
+
+    await server.start();
+    expect(initialize).toHaveBeenCalled();
+    expect(store.lockInstance).not.toBeNull();
+    expect(server.readiness()).toEqual({ ready: true, checks: { server: "ready" } });
+    expect((await fetch(url("/readyz"))).status).toBe(200);
+  });
+
+  test("should drain in-flight requests and flush pending saves before unlocking", async () => {
+    await server.start();
+    await store.create("session", "abc", 60);
+    await store.read("session", { touch: true }); // Schedules a debounced save
+    const expiry = store.data.get("session").expiry;
+
+    const slow = fetch(url("/slow"));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const stopped = server.stop();
+
+    expect(server.readiness().ready).toBe(false);
+    releaseSlow();
+    expect(await (await slow).json()).toEqual({ done: true });
+    await stopped;
+    expect(server.state).toBe("stopped");
+
+    // The lock is released, and the touched expiry was saved before that
+    const reopened = new KVStore(testFilePath);
+    await reopened.initialize();
+    expect(reopened.data.get("session").expiry).toBe(expiry);
+    await reopened.cleanup();
+  });
+
+  test("should turn new requests away while draining", async () => {
+    await server.start();
+    const slow = fetch(url("/slow"));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const stopped = server.stop();
+
+    const response = await request(server.app).get("/fast");
+    expect(response.status).toBe(503);
+    expect(response.body).toEqual({
+      error: "Server is shutting down",
+      code: "SHUTTING_DOWN",
+    });
+    expect((await request(server.app).get("/readyz")).status).toBe(503);
+
+    releaseSlow();
+    await slow;
+    await stopped;
+  });
+
+  test("should end event streams on shutdown", async () => {
+    await server.start();
+    const events = await fetch(url("/events"));
+    const body = events.text();
+
+    await server.stop();
+    expect(await body).toBe("");
+    expect(server.inFlight.size).toBe(0);
+  });
+
+  test("should refuse to serve RESP beyond loopback while auth is enabled", async () => {
+    const exposed = new Server(express(), store, {
+      respPort: 0,
+      respHost: "0.0.0.0",
+      authEnabled: true,
+    });
+    await expect(exposed.start()).rejects.toMatchObject({ code: "INVALID_ARGUMENT" });
+    expect(exposed.httpServer).toBeNull();
+    expect(store.lockInstance).toBeNull();
+  });
+});